@@ -0,0 +1,63 @@
+/**
+ * Create an in-memory LRU cache with a TTL per entry.
+ * Map keeps insertion order, so the first key is always the least recently used.
+ */
+function createCache(maxEntries) {
+  const entries = new Map();
+
+  /**
+   * Get a cached value (undefined when missing or expired)
+   */
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value for ttlMs milliseconds, evicting the least recently used entry when full
+   */
+  function set(key, value, ttlMs) {
+    if (!(ttlMs > 0)) {
+      entries.delete(key);
+      return;
+    }
+
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function remove(key) {
+    entries.delete(key);
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return {
+    get,
+    set,
+    delete: remove,
+    clear
+  };
+}
+
+module.exports = {
+  createCache
+};
@@ -1,123 +1,54 @@
-const { MongoClient } = require('mongodb');
 require('dotenv').config();
 
-let client = null;
-let db = null;
-
 /**
- * Connect to MongoDB
+ * Storage backends, selected by STORAGE_BACKEND:
+ *   mongodb (default) - 3speak MongoDB collections (storage/mongodb.js)
+ *   memory            - In-memory store seeded from JSON fixtures (storage/memory.js),
+ *                       for running the player without database credentials
  */
-async function connect() {
-  if (db) {
-    return db;
-  }
-
-  try {
-    client = new MongoClient(process.env.MONGODB_URI);
-
-    await client.connect();
-    console.log('✓ Connected to MongoDB');
+const BACKENDS = {
+  mongodb: './storage/mongodb',
+  memory: './storage/memory'
+};
 
-    db = client.db(process.env.MONGODB_DATABASE);
-    return db;
-  } catch (error) {
-    console.error('MongoDB connection error:', error);
-    throw error;
-  }
-}
+// Functions every backend implements (the storage interface used by server.js)
+const STORAGE_METHODS = [
+  'connect',
+  'findLegacyVideo',
+  'findEmbedVideo',
+  'findLegacyVideos',
+  'findEmbedVideos',
+  'incrementLegacyViews',
+  'incrementEmbedViews',
+  'findRecentViewEvent',
+  'recordViewEvent',
+  'recordAnalyticsHeartbeat',
+  'findVideoAnalytics',
+  'recordTelemetry',
+  'findTelemetry',
+  'close'
+];
 
 /**
- * Get database instance
+ * Load the configured backend and check that it implements the whole interface
  */
-function getDb() {
-  if (!db) {
-    throw new Error('Database not connected. Call connect() first.');
+function loadBackend(name) {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
   }
-  return db;
-}
 
-/**
- * Find video in legacy collection by owner and permlink
- */
-async function findLegacyVideo(owner, permlink) {
-  const database = getDb();
-  const collection = database.collection(process.env.MONGODB_COLLECTION_LEGACY);
-  
-  return await collection.findOne({
-    owner: owner,
-    permlink: permlink
-  });
-}
-
-/**
- * Find video in embed collection by owner and permlink
- */
-async function findEmbedVideo(owner, permlink) {
-  const database = getDb();
-  const collection = database.collection(process.env.MONGODB_COLLECTION_NEW);
-  
-  return await collection.findOne({
-    owner: owner,
-    permlink: permlink
-  });
-}
+  const backend = require(BACKENDS[name]);
+  const missing = STORAGE_METHODS.filter(method => typeof backend[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage backend "${name}" is missing: ${missing.join(', ')}`);
+  }
 
-/**
- * Increment view count for legacy video
- */
-async function incrementLegacyViews(owner, permlink) {
-  const database = getDb();
-  const collection = database.collection(process.env.MONGODB_COLLECTION_LEGACY);
-  
-  const result = await collection.updateOne(
-    { owner: owner, permlink: permlink },
-    { $inc: { views: 1 } }
-  );
-  
-  return result.modifiedCount > 0;
+  return backend;
 }
 
-/**
- * Increment view count for embed video
- * Note: Initializes views field to 1 if it doesn't exist on that document
- */
-async function incrementEmbedViews(owner, permlink) {
-  const database = getDb();
-  const collection = database.collection(process.env.MONGODB_COLLECTION_NEW);
-  
-  // First, check if views field exists, if not set it to 0, then increment
-  await collection.updateOne(
-    { owner: owner, permlink: permlink, views: { $exists: false } },
-    { $set: { views: 0 } }
-  );
-  
-  // Now increment views
-  const result = await collection.updateOne(
-    { owner: owner, permlink: permlink },
-    { $inc: { views: 1 } }
-  );
-  
-  return result.modifiedCount > 0;
-}
+const backend = loadBackend((process.env.STORAGE_BACKEND || 'mongodb').toLowerCase());
 
-/**
- * Close MongoDB connection
- */
-async function close() {
-  if (client) {
-    await client.close();
-    client = null;
-    db = null;
-    console.log('✓ MongoDB connection closed');
-  }
-}
-
-module.exports = {
-  connect,
-  getDb,
-  findLegacyVideo,
-  findEmbedVideo,
-  incrementLegacyViews,
-  incrementEmbedViews,
-  close
-};
+module.exports = STORAGE_METHODS.reduce((storage, method) => {
+  storage[method] = backend[method];
+  return storage;
+}, {});
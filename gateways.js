@@ -0,0 +1,234 @@
+require('dotenv').config();
+
+// Default gateway chain (used when IPFS_GATEWAYS is not configured)
+const DEFAULT_GATEWAYS = [
+  'cdn=https://ipfs-3speak.b-cdn.net/ipfs',        // BunnyCDN IPFS (fastest, cached)
+  'supernode=https://ipfs.3speak.tv/ipfs',          // Supernode (direct IPFS)
+  'hotnode=https://hotipfs-1.3speak.tv/ipfs',       // Hotnode (future primary)
+  'audionode=https://ipfs-audio.3speak.tv/ipfs'     // Audionode (backup)
+];
+
+// Empty UnixFS directory: tiny and resolvable on every gateway
+const DEFAULT_PROBE_PATH = 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn';
+
+const PROBE_INTERVAL_MS = parseInt(process.env.GATEWAY_PROBE_INTERVAL_MS, 10) || 30000;
+const PROBE_TIMEOUT_MS = parseInt(process.env.GATEWAY_PROBE_TIMEOUT_MS, 10) || 5000;
+const FAILURES_UNTIL_DOWN = parseInt(process.env.GATEWAY_FAILURES_UNTIL_DOWN, 10) || 2;
+const RESULT_WINDOW = 20;      // Number of recent probes used for the error rate
+const LATENCY_SMOOTHING = 0.3; // EWMA weight of the newest latency sample
+
+let gateways = [];
+let probeTimer = null;
+
+/**
+ * Parse gateway list from IPFS_GATEWAYS ("name=url,name=url" or plain URLs).
+ * Falls back to the default chain when the setting is unset or has no entries.
+ */
+function parseGatewayConfig(value) {
+  const configured = (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  const entries = configured.length > 0 ? configured : DEFAULT_GATEWAYS;
+
+  return entries.map((entry, index) => {
+    const separator = entry.indexOf('=');
+    const hasName = separator > 0 && !entry.slice(0, separator).includes('/');
+    const url = (hasName ? entry.slice(separator + 1) : entry).replace(/\/+$/, '');
+    let name = hasName ? entry.slice(0, separator) : null;
+
+    if (!name) {
+      try {
+        name = new URL(url).hostname;
+      } catch (error) {
+        name = `gateway${index + 1}`;
+      }
+    }
+
+    return {
+      name,
+      url,
+      order: index,
+      healthy: true,
+      latency: null,
+      consecutiveFailures: 0,
+      results: [],
+      lastChecked: null,
+      lastError: null
+    };
+  });
+}
+
+/**
+ * Get the CID path probed on every gateway (defaults to the empty directory CID)
+ */
+function getProbePath() {
+  return (process.env.GATEWAY_PROBE_PATH || DEFAULT_PROBE_PATH).replace('ipfs://', '');
+}
+
+/**
+ * Load gateways from configuration
+ */
+function init() {
+  gateways = parseGatewayConfig(process.env.IPFS_GATEWAYS);
+  return gateways;
+}
+
+/**
+ * Record a probe result on a gateway
+ */
+function recordResult(gateway, ok, latency, error) {
+  gateway.lastChecked = new Date();
+  gateway.results.push(ok);
+  if (gateway.results.length > RESULT_WINDOW) {
+    gateway.results.shift();
+  }
+
+  if (ok) {
+    gateway.consecutiveFailures = 0;
+    gateway.healthy = true;
+    gateway.lastError = null;
+    gateway.latency = gateway.latency === null
+      ? latency
+      : Math.round(LATENCY_SMOOTHING * latency + (1 - LATENCY_SMOOTHING) * gateway.latency);
+  } else {
+    gateway.consecutiveFailures++;
+    gateway.lastError = error;
+    if (gateway.consecutiveFailures >= FAILURES_UNTIL_DOWN) {
+      gateway.healthy = false;
+    }
+  }
+}
+
+/**
+ * Probe a single gateway with a HEAD request for the probe CID.
+ * The cache-buster makes CDN gateways answer from the origin instead of their cache.
+ */
+async function probeGateway(gateway, probePath) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  const started = Date.now();
+
+  try {
+    const separator = probePath.includes('?') ? '&' : '?';
+    const response = await fetch(`${gateway.url}/${probePath}${separator}probe=${started}`, {
+      method: 'HEAD',
+      headers: { 'Cache-Control': 'no-cache' },
+      signal: controller.signal
+    });
+
+    if (response.ok) {
+      recordResult(gateway, true, Date.now() - started);
+    } else {
+      recordResult(gateway, false, null, `HTTP ${response.status}`);
+    }
+  } catch (error) {
+    recordResult(gateway, false, null, error.name === 'AbortError' ? 'Timeout' : error.message);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Probe all gateways in parallel
+ */
+async function probeAll() {
+  const probePath = getProbePath();
+  if (!probePath) {
+    return;
+  }
+
+  await Promise.all(gateways.map(gateway => probeGateway(gateway, probePath)));
+
+  const down = gateways.filter(gateway => !gateway.healthy).map(gateway => gateway.name);
+  if (down.length > 0) {
+    console.warn(`⚠ IPFS gateways down: ${down.join(', ')}`);
+  }
+}
+
+/**
+ * Get error rate of a gateway over the recent probe window
+ */
+function getErrorRate(gateway) {
+  if (gateway.results.length === 0) {
+    return 0;
+  }
+  return gateway.results.filter(ok => !ok).length / gateway.results.length;
+}
+
+/**
+ * Score a gateway for ordering (lower is better). Errors are penalised as timeouts.
+ */
+function getScore(gateway) {
+  const latency = gateway.latency === null ? PROBE_TIMEOUT_MS : gateway.latency;
+  return latency + getErrorRate(gateway) * PROBE_TIMEOUT_MS;
+}
+
+/**
+ * Get healthy gateways ordered by current health. Until every gateway has been
+ * probed the configured order is kept; if all are down the full list is returned
+ * so videos still have somewhere to load from.
+ */
+function getOrderedGateways() {
+  if (gateways.length === 0) {
+    init();
+  }
+
+  if (gateways.some(gateway => gateway.lastChecked === null)) {
+    return gateways.filter(gateway => gateway.healthy);
+  }
+
+  const healthy = gateways.filter(gateway => gateway.healthy);
+  if (healthy.length === 0) {
+    return [...gateways];
+  }
+
+  return healthy.sort((a, b) => (getScore(a) - getScore(b)) || (a.order - b.order));
+}
+
+/**
+ * Get health snapshot of all gateways
+ */
+function getStatus() {
+  return gateways.map(gateway => ({
+    name: gateway.name,
+    url: gateway.url,
+    healthy: gateway.healthy,
+    latency: gateway.latency,
+    errorRate: Math.round(getErrorRate(gateway) * 100) / 100,
+    lastChecked: gateway.lastChecked,
+    lastError: gateway.lastError
+  }));
+}
+
+/**
+ * Start background health probing
+ */
+function start() {
+  if (probeTimer) {
+    return;
+  }
+
+  init();
+  console.log(`✓ Probing ${gateways.length} IPFS gateways every ${PROBE_INTERVAL_MS / 1000}s`);
+
+  probeAll();
+  probeTimer = setInterval(probeAll, PROBE_INTERVAL_MS);
+  probeTimer.unref();
+}
+
+/**
+ * Stop background health probing
+ */
+function stop() {
+  if (probeTimer) {
+    clearInterval(probeTimer);
+    probeTimer = null;
+  }
+}
+
+module.exports = {
+  init,
+  start,
+  stop,
+  probeAll,
+  getOrderedGateways,
+  getStatus
+};
@@ -1,14 +1,37 @@
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
 const bodyParser = require('body-parser');
 require('dotenv').config();
 
 const db = require('./db');
+const gateways = require('./gateways');
+const themes = require('./themes');
+const { createCache } = require('./cache');
 
 const app = express();
 const PORT = process.env.PORT || 3005;
 
+/**
+ * Parse TRUST_PROXY into an express "trust proxy" value: a hop count,
+ * true/false, or addresses/subnet names ("loopback", "10.0.0.0/8,...")
+ */
+function parseTrustProxy(value) {
+  const setting = (value || 'loopback').trim();
+  if (/^\d+$/.test(setting)) {
+    return parseInt(setting, 10);
+  }
+  if (setting === 'true' || setting === 'false') {
+    return setting === 'true';
+  }
+  return setting;
+}
+
+// Behind nginx: trust X-Forwarded-For from the local proxy for req.ip
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
@@ -41,13 +64,79 @@ const VIDEO_STATUS = {
 
 const PLACEHOLDER_TYPE = {
   PROCESSING: 'processing',
+  SCHEDULED: 'scheduled',
   FAILED: 'failed',
   DELETED: 'deleted'
 };
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
+// Subtitle proxy: only small subtitle files are fetched from IPFS
+const SUBTITLE_MAX_BYTES = 1024 * 1024;
+const SUBTITLE_EXTENSION_PATTERN = /\.(srt|vtt)$/i;
+const SUBTITLE_CONTENT_TYPES = ['text/vtt', 'text/plain', 'application/x-subrip', 'text/srt'];
+
+// View counting: minimum real playback, per-session dedup window and per-IP rate limit
+const VIEW_MIN_WATCH_SECONDS = parseInt(process.env.VIEW_MIN_WATCH_SECONDS, 10) || 10;
+const VIEW_DEDUP_WINDOW_MS = (parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES, 10) || 30) * 60 * 1000;
+const VIEW_RATE_LIMIT_PER_HOUR = parseInt(process.env.VIEW_RATE_LIMIT_PER_HOUR, 10) || 60;
+const VIEW_TOKEN_RATE_LIMIT_PER_HOUR = parseInt(process.env.VIEW_TOKEN_RATE_LIMIT_PER_HOUR, 10) || 600;
+const VIEW_TOKEN_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+const VIEW_TOKEN_SECRET = process.env.VIEW_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.VIEW_TOKEN_SECRET) {
+  console.warn('⚠ VIEW_TOKEN_SECRET is not set: using a random secret, so view tokens stop working on every restart');
+}
+
+// Watch-time analytics limits
+const ANALYTICS_MAX_HEARTBEAT_SECONDS = 60;       // Watch time accepted per heartbeat
+const ANALYTICS_MAX_RETENTION_SECONDS = 4 * 3600; // Retention curve length cap
+const ANALYTICS_QUARTILES = [25, 50, 75, 100];
+const ANALYTICS_RATE_LIMIT_PER_HOUR = parseInt(process.env.ANALYTICS_RATE_LIMIT_PER_HOUR, 10) || 10000;
+
+// Playback telemetry dimensions and limits
+const TELEMETRY_DIMENSIONS = ['gateway', 'client', 'video'];
+const TELEMETRY_MAX_DAYS = 30;
+const TELEMETRY_MAX_REPORTS_PER_TOKEN = 5;       // Ended, next video, page close and a few errors
+
+// Encoding progress streams (Server-Sent Events)
+const PROGRESS_POLL_INTERVAL_MS = parseInt(process.env.PROGRESS_POLL_INTERVAL_MS, 10) || 3000;
+const PROGRESS_MAX_STREAMS = parseInt(process.env.PROGRESS_MAX_STREAMS, 10) || 1000;
+const PROGRESS_MAX_STREAMS_PER_IP = parseInt(process.env.PROGRESS_MAX_STREAMS_PER_IP, 10) || 20;
+const PROGRESS_RATE_LIMIT_PER_HOUR = parseInt(process.env.PROGRESS_RATE_LIMIT_PER_HOUR, 10) || 600;
+const PROGRESS_KEEPALIVE_MS = 25000;                // Comment line so proxies keep the stream open
+const PROGRESS_STREAM_MAX_MS = 30 * 60 * 1000;      // Clients reconnect after this
+
+// Batch metadata lookups
+const BATCH_MAX_ITEMS = 50;
+
+// Version of the /api/video response schema, bumped on breaking changes
+const VIDEO_SCHEMA_VERSION = 1;
+
+// Video lookup cache: published videos are cached longer than placeholders and
+// misses, so a video shows up quickly once it finishes processing
+const VIDEO_CACHE_MAX_ENTRIES = parseInt(process.env.VIDEO_CACHE_MAX_ENTRIES, 10) || 5000;
+const VIDEO_CACHE_TTL_MS = (parseInt(process.env.VIDEO_CACHE_TTL_SECONDS, 10) || 60) * 1000;
+const VIDEO_CACHE_PENDING_TTL_MS = (parseInt(process.env.VIDEO_CACHE_PENDING_TTL_SECONDS, 10) || 5) * 1000;
+
+// Cache-Control max-age for metadata responses (browsers and CDN)
+const API_CACHE_MAX_AGE_SECONDS = parseInt(process.env.API_CACHE_MAX_AGE_SECONDS, 10) || 60;
+const API_CACHE_PENDING_MAX_AGE_SECONDS = 5;
+
+const videoCache = createCache(VIDEO_CACHE_MAX_ENTRIES);
+
+// Link preview description length (Open Graph / Twitter Card)
+const SHARE_DESCRIPTION_LENGTH = 200;
+
+// Chapter limits
+const MAX_CHAPTERS = 100;
+const MAX_CHAPTER_TITLE_LENGTH = 100;
+
+// Default iframe sizes per layout, used by the oEmbed provider
+const OEMBED_SIZES = {
+  desktop: { width: 854, height: 480 },   // 16:9
+  vertical: { width: 450, height: 800 },  // 9:16 (no layout, vertical video)
+  mobile: { width: 480, height: 640 },    // 3:4
+  square: { width: 480, height: 480 }     // 1:1
+};
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -97,23 +186,18 @@ function transformIPFSUrl(ipfsUrl, useFallback = false) {
 }
 
 /**
- * Get gateway URLs with CDN-first fallback chain
+ * Get gateway URLs ordered by current gateway health.
+ * Gateways that are down are dropped, so trailing fallbacks may be null.
  */
 function getVideoUrls(ipfsUrl) {
-  const gateways = {
-    cdn: 'https://ipfs-3speak.b-cdn.net/ipfs',      // BunnyCDN IPFS (fastest, cached)
-    supernode: 'https://ipfs.3speak.tv/ipfs',        // Supernode (direct IPFS)
-    hotnode: 'https://hotipfs-1.3speak.tv/ipfs',     // Hotnode (future primary)
-    audionode: 'https://ipfs-audio.3speak.tv/ipfs'   // Audionode (backup)
-  };
-  
   if (ipfsUrl.startsWith('ipfs://')) {
     const cidPath = ipfsUrl.replace('ipfs://', '');
+    const urls = gateways.getOrderedGateways().map(gateway => `${gateway.url}/${cidPath}`);
     return {
-      primary: `${gateways.cdn}/${cidPath}`,
-      fallback1: `${gateways.supernode}/${cidPath}`,
-      fallback2: `${gateways.hotnode}/${cidPath}`,
-      fallback3: `${gateways.audionode}/${cidPath}`
+      primary: urls[0],
+      fallback1: urls[1] || null,
+      fallback2: urls[2] || null,
+      fallback3: urls[3] || null
     };
   }
   
@@ -125,6 +209,484 @@ function getVideoUrls(ipfsUrl) {
   };
 }
 
+/**
+ * Get thumbnail URL for a legacy video, falling back to the default thumbnail
+ */
+function getLegacyThumbnail(video) {
+  return video.thumbnail
+    ? transformIPFSUrl(video.thumbnail)
+    : `${process.env.IPFS_GATEWAY}/${process.env.DEFAULT_THUMBNAIL_CID}`;
+}
+
+/**
+ * Get thumbnail URL for an embed video, falling back to the default thumbnail
+ */
+function getEmbedThumbnail(video) {
+  return video.thumbnail_url
+    || `${process.env.IPFS_GATEWAY}/${process.env.DEFAULT_THUMBNAIL_CID}`;
+}
+
+/**
+ * Get the public base URL of the player (used for embed HTML and discovery links)
+ */
+function getBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Escape a string for safe use inside HTML text and attribute values
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Validate an IPFS CID path (CID optionally followed by path segments)
+ */
+function isValidCidPath(cidPath) {
+  return /^[A-Za-z0-9]+(\/[A-Za-z0-9._-]+)*$/.test(cidPath || '');
+}
+
+/**
+ * Normalize subtitle tracks stored on a video document.
+ * IPFS sources are served through /api/subtitles so SRT is converted to WebVTT.
+ */
+function getSubtitles(video, baseUrl) {
+  if (!Array.isArray(video.subtitles)) {
+    return [];
+  }
+  
+  return video.subtitles
+    .map(track => {
+      if (!track || typeof track !== 'object') {
+        return null;
+      }
+      
+      // Drop malformed tracks instead of handing the player values it can't use
+      const language = track.language || track.lang || track.srclang;
+      const source = track.url || track.cid || track.ipfs || '';
+      if (typeof language !== 'string' || typeof source !== 'string' || !language || !source) {
+        return null;
+      }
+      
+      let url = null;
+      if (/^https?:\/\//.test(source)) {
+        // Plain URLs are passed through and must already be WebVTT
+        url = /\.vtt($|\?)/i.test(source) ? source : null;
+      } else {
+        const cidPath = source.replace('ipfs://', '');
+        url = isSubtitleCidPath(cidPath)
+          ? `${baseUrl}/api/subtitles?cid=${encodeURIComponent(cidPath)}`
+          : null;
+      }
+      
+      if (!url) {
+        return null;
+      }
+      
+      return {
+        language: language,
+        label: typeof track.label === 'string' && track.label ? track.label : language,
+        url: url
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Resolve an ipfs:// or plain https:// asset reference to a URL on the healthiest gateway
+ */
+function resolveAssetUrl(source) {
+  if (typeof source !== 'string') {
+    return null;
+  }
+  if (/^https?:\/\//.test(source)) {
+    return source;
+  }
+  
+  const cidPath = source.replace('ipfs://', '').replace(/\/+$/, '');
+  const gateway = gateways.getOrderedGateways()[0];
+  return isValidCidPath(cidPath) && gateway ? `${gateway.url}/${cidPath}` : null;
+}
+
+/**
+ * Normalize the seek preview storyboard stored on a video document:
+ * - WebVTT thumbnails track: "ipfs://<cid>/thumbs.vtt" or { vtt } (cues point at sprite#xywh=x,y,w,h)
+ * - Folder of frames: { folder, interval, pattern, startIndex, count, width, height }
+ */
+function getStoryboard(video) {
+  const storyboard = typeof video.storyboard === 'string'
+    ? { vtt: video.storyboard }
+    : video.storyboard;
+  
+  if (!storyboard || typeof storyboard !== 'object') {
+    return null;
+  }
+  
+  if (storyboard.vtt) {
+    const url = resolveAssetUrl(storyboard.vtt);
+    return url ? { type: 'vtt', url: url } : null;
+  }
+  
+  const baseUrl = resolveAssetUrl(storyboard.folder || storyboard.cid);
+  const interval = Number(storyboard.interval);
+  if (!baseUrl || !(interval > 0)) {
+    return null;
+  }
+  
+  return {
+    type: 'frames',
+    baseUrl: baseUrl,
+    interval: interval,
+    pattern: storyboard.pattern || 'thumb%04d.jpg',
+    startIndex: Number.isInteger(storyboard.startIndex) ? storyboard.startIndex : 1,
+    count: Number.isInteger(storyboard.count) ? storyboard.count : null,
+    width: Number(storyboard.width) || 160,
+    height: Number(storyboard.height) || 90
+  };
+}
+
+/**
+ * Parse "1:02:03", "03:12" or a number of seconds
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  
+  const match = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match || parseInt(match[3], 10) >= 60) {
+    return null;
+  }
+  return (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2], 10) * 60) + parseInt(match[3], 10);
+}
+
+/**
+ * Sort and validate chapters: must start at 0, be ascending and fit the video
+ */
+function normalizeChapters(chapters, duration) {
+  const sorted = chapters
+    .filter(chapter => chapter.start !== null && chapter.title)
+    .filter(chapter => !(duration > 0) || chapter.start < duration)
+    .sort((a, b) => a.start - b.start)
+    .filter((chapter, index, list) => index === 0 || chapter.start > list[index - 1].start)
+    .slice(0, MAX_CHAPTERS);
+  
+  if (sorted.length < 2 || sorted[0].start !== 0) {
+    return [];
+  }
+  return sorted;
+}
+
+/**
+ * Parse "00:00 Intro" / "Intro - 03:12" timestamp lines from a description
+ */
+function parseChaptersFromDescription(description, duration) {
+  if (typeof description !== 'string') {
+    return [];
+  }
+  
+  const time = '[\\[(]?((?:\\d{1,2}:)?\\d{1,2}:\\d{2})[\\])]?';
+  const separator = '\\s*(?:[-–—:|]\\s*)?';
+  const leading = new RegExp(`^(?:[-*•]\\s*)?${time}${separator}(.+)$`);
+  const trailing = new RegExp(`^(?:[-*•]\\s*)?(.+?)${separator}${time}$`);
+  
+  const chapters = description
+    .split(/\r?\n|<br\s*\/?>/i)
+    .map(line => line.replace(/[*_`]+/g, '').trim())
+    .map(line => {
+      const leadingMatch = leading.exec(line);
+      if (leadingMatch) {
+        return { start: parseTimestamp(leadingMatch[1]), title: leadingMatch[2].trim() };
+      }
+      const trailingMatch = trailing.exec(line);
+      if (trailingMatch) {
+        return { start: parseTimestamp(trailingMatch[2]), title: trailingMatch[1].trim() };
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .map(chapter => ({ start: chapter.start, title: chapter.title.slice(0, MAX_CHAPTER_TITLE_LENGTH) }));
+  
+  return normalizeChapters(chapters, duration);
+}
+
+/**
+ * Normalize a dedicated chapters field: [{ start | time: 192 | "03:12", title }]
+ */
+function getChaptersField(video) {
+  if (!Array.isArray(video.chapters)) {
+    return [];
+  }
+  
+  const chapters = video.chapters
+    .filter(chapter => chapter && typeof chapter === 'object')
+    .map(chapter => ({
+      start: parseTimestamp(chapter.start !== undefined ? chapter.start : chapter.time),
+      title: String(chapter.title || '').trim().slice(0, MAX_CHAPTER_TITLE_LENGTH)
+    }));
+  
+  return normalizeChapters(chapters, video.duration);
+}
+
+/**
+ * Convert SRT subtitles to WebVTT
+ */
+function srtToVtt(srt) {
+  const body = srt
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
+    .trim();
+  
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Check that a CID path can be a subtitle file: a .srt/.vtt file or a bare CID
+ * (bare CIDs are checked by content type once the gateway answers)
+ */
+function isSubtitleCidPath(cidPath) {
+  return isValidCidPath(cidPath) && (!cidPath.includes('/') || SUBTITLE_EXTENSION_PATTERN.test(cidPath));
+}
+
+/**
+ * Read a response body as UTF-8 text. Returns null (and stops the download)
+ * once it passes maxBytes.
+ */
+async function readLimitedText(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      return null; // Leaving the loop cancels the stream
+    }
+    chunks.push(chunk);
+  }
+  
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Fetch a subtitle file from IPFS, trying gateways in health order.
+ * Files over SUBTITLE_MAX_BYTES or with a non-text content type are refused.
+ */
+async function fetchIPFSSubtitle(cidPath) {
+  for (const gateway of gateways.getOrderedGateways()) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10000);
+    try {
+      const response = await fetch(`${gateway.url}/${cidPath}`, { signal: controller.signal });
+      if (!response.ok) {
+        continue;
+      }
+      
+      const length = parseInt(response.headers.get('content-length'), 10);
+      const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+      if (length > SUBTITLE_MAX_BYTES) {
+        controller.abort();
+        console.warn(`Subtitle ${cidPath} refused: ${length} bytes`);
+        return null;
+      }
+      if (!SUBTITLE_EXTENSION_PATTERN.test(cidPath) && !SUBTITLE_CONTENT_TYPES.includes(contentType)) {
+        controller.abort();
+        console.warn(`Subtitle ${cidPath} refused: content type ${contentType || 'unknown'}`);
+        return null;
+      }
+      
+      const text = await readLimitedText(response, SUBTITLE_MAX_BYTES);
+      if (text === null) {
+        console.warn(`Subtitle ${cidPath} refused: larger than ${SUBTITLE_MAX_BYTES} bytes`);
+      }
+      return text;
+    } catch (error) {
+      console.warn(`Subtitle fetch failed on ${gateway.name}:`, error.message);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+  return null;
+}
+
+/**
+ * Sign a view token for a video and the requesting client (hashed IP). The token
+ * carries the time the player loaded the video so /api/view can require a
+ * minimum amount of playback.
+ */
+function createViewToken(type, owner, permlink, ipHash, issuedAt = Date.now(), nonce = crypto.randomBytes(8).toString('hex')) {
+  const signature = crypto
+    .createHmac('sha256', VIEW_TOKEN_SECRET)
+    .update(`${type}:${owner}/${permlink}:${ipHash}:${issuedAt}:${nonce}`)
+    .digest('hex');
+  return `${issuedAt}.${nonce}.${signature}`;
+}
+
+/**
+ * Verify a view token for the requesting client and return when it was issued and its nonce
+ */
+function verifyViewToken(token, type, owner, permlink, ipHash) {
+  const [issuedAtValue, nonce, signature] = String(token || '').split('.');
+  const issuedAt = parseInt(issuedAtValue, 10);
+  
+  if (!issuedAt || !/^[0-9a-f]{16}$/.test(nonce || '') || !signature) {
+    return { error: 'Missing or invalid view token' };
+  }
+  
+  const expected = createViewToken(type, owner, permlink, ipHash, issuedAt, nonce).split('.')[2];
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { error: 'Missing or invalid view token' };
+  }
+  
+  if (Date.now() - issuedAt > VIEW_TOKEN_MAX_AGE_MS) {
+    return { error: 'View token expired' };
+  }
+  
+  return { issuedAt, nonce };
+}
+
+/**
+ * Hash a client IP so view events can be audited without storing raw addresses
+ */
+function hashIp(ip) {
+  return crypto.createHmac('sha256', VIEW_TOKEN_SECRET).update(ip || '').digest('hex').slice(0, 32);
+}
+
+// Requests per IP hash within the last hour, per rate-limited endpoint
+const rateLimitLogs = {
+  view: new Map(),
+  token: new Map(),
+  analytics: new Map(),
+  progress: new Map()
+};
+
+/**
+ * Record a request for an IP and check the hourly limit of the endpoint
+ */
+function isRateLimited(endpoint, ipHash, limit) {
+  const log = rateLimitLogs[endpoint];
+  const now = Date.now();
+  const recent = (log.get(ipHash) || []).filter(time => now - time < 60 * 60 * 1000);
+  recent.push(now);
+  log.set(ipHash, recent);
+  return recent.length > limit;
+}
+
+// Analytics counted per view token, so replayed heartbeats can't add sessions,
+// quartiles or more watch time than the video is long, nor reports skew telemetry
+const analyticsTokenLog = new Map();
+
+function getAnalyticsTokenEntry(nonce) {
+  let entry = analyticsTokenLog.get(nonce);
+  if (!entry) {
+    entry = { started: false, quartiles: new Set(), watched: 0, reports: 0, createdAt: Date.now() };
+    analyticsTokenLog.set(nonce, entry);
+  }
+  return entry;
+}
+
+/**
+ * Keep only the session start, quartiles and watch time not yet counted for this view token
+ */
+function getUncountedAnalytics(nonce, started, quartiles, watched, maxWatched) {
+  const entry = getAnalyticsTokenEntry(nonce);
+  
+  const countStart = started && !entry.started;
+  entry.started = entry.started || started;
+  
+  const newQuartiles = quartiles.filter(quartile => !entry.quartiles.has(quartile));
+  newQuartiles.forEach(quartile => entry.quartiles.add(quartile));
+  
+  const newWatched = Math.min(watched, Math.max(maxWatched - entry.watched, 0));
+  entry.watched += newWatched;
+  
+  return { started: countStart, quartiles: newQuartiles, watched: newWatched };
+}
+
+/**
+ * Count a telemetry report against its view token (false once the token has sent its share)
+ */
+function acceptTelemetryReport(nonce) {
+  const entry = getAnalyticsTokenEntry(nonce);
+  if (entry.reports >= TELEMETRY_MAX_REPORTS_PER_TOKEN) {
+    return false;
+  }
+  entry.reports++;
+  return true;
+}
+
+/**
+ * Drop IPs without recent requests and analytics entries of expired view tokens
+ */
+function pruneRateLimitLogs() {
+  const now = Date.now();
+  Object.values(rateLimitLogs).forEach(log => {
+    for (const [ipHash, times] of log) {
+      if (times.every(time => now - time >= 60 * 60 * 1000)) {
+        log.delete(ipHash);
+      }
+    }
+  });
+  
+  for (const [nonce, entry] of analyticsTokenLog) {
+    if (now - entry.createdAt > VIEW_TOKEN_MAX_AGE_MS) {
+      analyticsTokenLog.delete(nonce);
+    }
+  }
+}
+
+setInterval(pruneRateLimitLogs, 10 * 60 * 1000).unref();
+
+/**
+ * Reduce a user agent to browser and platform families for telemetry
+ */
+function parseUserAgent(userAgent = '') {
+  let browser = 'Other';
+  if (/Edg\//.test(userAgent)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(userAgent)) browser = 'Opera';
+  else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+  else if (/Chrome\/|CriOS\//.test(userAgent)) browser = 'Chrome';
+  else if (/Safari\//.test(userAgent)) browser = 'Safari';
+  
+  let platform = 'Other';
+  if (/Android/.test(userAgent)) platform = 'Android';
+  else if (/iPhone|iPad|iPod/.test(userAgent)) platform = 'iOS';
+  else if (/Mac OS X|Macintosh/.test(userAgent)) platform = 'Mac';
+  else if (/Windows/.test(userAgent)) platform = 'Windows';
+  else if (/SMART-TV|SmartTV|Tizen|Web0S|webOS/i.test(userAgent)) platform = 'TV';
+  else if (/Linux|CrOS/.test(userAgent)) platform = 'Linux';
+  
+  return { browser, platform };
+}
+
+/**
+ * Clamp a reported number to a sane range
+ */
+function clampNumber(value, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    return 0;
+  }
+  return Math.min(number, max);
+}
+
+/**
+ * Current UTC day as YYYY-MM-DD (telemetry bucket)
+ */
+function getTelemetryDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
 /**
  * Get placeholder video URL based on status
  */
@@ -134,6 +696,9 @@ function getPlaceholderVideo(placeholderType) {
     case 'uploading': // Legacy support
       return transformIPFSUrl(process.env.PLACEHOLDER_PROCESSING_CID);
     
+    case PLACEHOLDER_TYPE.SCHEDULED:
+      return transformIPFSUrl(process.env.PLACEHOLDER_SCHEDULED_CID || process.env.PLACEHOLDER_PROCESSING_CID);
+    
     case PLACEHOLDER_TYPE.FAILED:
       return transformIPFSUrl(process.env.PLACEHOLDER_FAILED_CID);
     
@@ -159,7 +724,8 @@ function getVideoUrlsForLegacyStatus(video) {
     }
     return {
       urls: createPlaceholderUrls(placeholderUrl),
-      isPlaceholder: true
+      isPlaceholder: true,
+      placeholderType: PLACEHOLDER_TYPE.DELETED
     };
   }
   
@@ -171,7 +737,8 @@ function getVideoUrlsForLegacyStatus(video) {
     }
     return {
       urls: createPlaceholderUrls(placeholderUrl),
-      isPlaceholder: true
+      isPlaceholder: true,
+      placeholderType: PLACEHOLDER_TYPE.PROCESSING
     };
   }
   
@@ -183,7 +750,23 @@ function getVideoUrlsForLegacyStatus(video) {
     }
     return {
       urls: createPlaceholderUrls(placeholderUrl),
-      isPlaceholder: true
+      isPlaceholder: true,
+      placeholderType: PLACEHOLDER_TYPE.FAILED
+    };
+  }
+  
+  // Scheduled videos before their publish date - serve premiere notice (never the real CIDs)
+  const publishAt = getPublishDate(video);
+  if ([VIDEO_STATUS.PUBLISH_LATER, VIDEO_STATUS.SCHEDULED].includes(status) && publishAt && publishAt > new Date()) {
+    const placeholderUrl = getPlaceholderVideo(PLACEHOLDER_TYPE.SCHEDULED);
+    if (!placeholderUrl) {
+      return { error: 'Placeholder configuration error', status: video.status };
+    }
+    return {
+      urls: createPlaceholderUrls(placeholderUrl),
+      isPlaceholder: true,
+      placeholderType: PLACEHOLDER_TYPE.SCHEDULED,
+      publishAt: publishAt
     };
   }
   
@@ -202,6 +785,17 @@ function getVideoUrlsForLegacyStatus(video) {
   return { error: 'Video source not available', status: video.status };
 }
 
+/**
+ * Publish date of a scheduled legacy video (null when not set or invalid)
+ */
+function getPublishDate(video) {
+  if (!video.publish_data) {
+    return null;
+  }
+  const date = new Date(video.publish_data);
+  return isNaN(date.getTime()) ? null : date;
+}
+
 /**
  * Determine video URLs based on status for embed collection (embed-video)
  */
@@ -240,39 +834,664 @@ function getVideoUrlsForEmbedStatus(video) {
   
   return {
     urls: createPlaceholderUrls(placeholderUrl),
-    isPlaceholder: true
+    isPlaceholder: true,
+    placeholderType: placeholderType
   };
 }
 
-// ============================================================================
-// API ROUTES
-// ============================================================================
+/**
+ * Find a legacy or embed video, served from the lookup cache when possible.
+ * Returns null when the video does not exist (misses are cached briefly too).
+ */
+async function findVideo(type, owner, permlink) {
+  const key = `${type}:${owner}/${permlink}`;
+  const cached = videoCache.get(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+  
+  const video = type === 'embed'
+    ? await db.findEmbedVideo(owner, permlink)
+    : await db.findLegacyVideo(owner, permlink);
+  
+  cacheVideo(type, owner, permlink, video);
+  return video;
+}
 
 /**
- * GET /api/watch?v=owner/permlink
- * Returns legacy video metadata from videos collection
+ * Find a video in whichever collection has it.
+ * When both do, the one that plays its real content wins (embed on a tie).
+ * Returns { source, video, result } or null when neither collection has it.
  */
-app.get('/api/watch', async (req, res) => {
-  try {
-    // Parse and validate parameters
-    const params = parseVideoParams(req.query.v);
-    if (params.error) {
-      return res.status(400).json({ error: params.error });
+async function resolveVideo(owner, permlink) {
+  const [embedVideo, legacyVideo] = await Promise.all([
+    findVideo('embed', owner, permlink),
+    findVideo('legacy', owner, permlink)
+  ]);
+  
+  const candidates = [];
+  if (embedVideo) {
+    candidates.push({ source: 'embed', video: embedVideo, result: getVideoUrlsForEmbedStatus(embedVideo) });
+  }
+  if (legacyVideo) {
+    candidates.push({ source: 'legacy', video: legacyVideo, result: getVideoUrlsForLegacyStatus(legacyVideo) });
+  }
+  
+  return candidates.find(candidate => !candidate.result.error && !candidate.result.isPlaceholder)
+    || candidates.find(candidate => !candidate.result.error)
+    || candidates[0]
+    || null;
+}
+
+/**
+ * Find many videos with one query per collection, using the lookup cache.
+ * Returns a Map of "type:owner/permlink" to the video (or null when missing).
+ */
+async function findVideos(items) {
+  const found = new Map();
+  const missing = { legacy: [], embed: [] };
+  
+  items.forEach(({ type, owner, permlink }) => {
+    const key = `${type}:${owner}/${permlink}`;
+    if (found.has(key)) {
+      return;
     }
-    
-    const { owner, permlink } = params;
-    
-    // Find video in legacy collection
-    const video = await db.findLegacyVideo(owner, permlink);
-    
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
+    const cached = videoCache.get(key);
+    found.set(key, cached === undefined ? null : cached);
+    if (cached === undefined) {
+      missing[type].push({ owner, permlink });
     }
-    
-    // Determine video URLs based on status
-    const result = getVideoUrlsForLegacyStatus(video);
-    
-    if (result.error) {
+  });
+  
+  const [legacyVideos, embedVideos] = await Promise.all([
+    db.findLegacyVideos(missing.legacy),
+    db.findEmbedVideos(missing.embed)
+  ]);
+  
+  legacyVideos.forEach(video => found.set(`legacy:${video.owner}/${video.permlink}`, video));
+  embedVideos.forEach(video => found.set(`embed:${video.owner}/${video.permlink}`, video));
+  
+  ['legacy', 'embed'].forEach(type => {
+    missing[type].forEach(({ owner, permlink }) => {
+      cacheVideo(type, owner, permlink, found.get(`${type}:${owner}/${permlink}`));
+    });
+  });
+  
+  return found;
+}
+
+/**
+ * Store a lookup result (including misses) for as long as its status allows
+ */
+function cacheVideo(type, owner, permlink, video) {
+  videoCache.set(
+    `${type}:${owner}/${permlink}`,
+    video,
+    isCacheableVideo(type, video) ? VIDEO_CACHE_TTL_MS : VIDEO_CACHE_PENDING_TTL_MS
+  );
+}
+
+/**
+ * Only videos that play their real content are cached for the full TTL
+ */
+function isCacheableVideo(type, video) {
+  if (!video) {
+    return false;
+  }
+  const result = type === 'embed' ? getVideoUrlsForEmbedStatus(video) : getVideoUrlsForLegacyStatus(video);
+  return !result.error && !result.isPlaceholder;
+}
+
+/**
+ * Set Cache-Control and Last-Modified for a video metadata response.
+ * ETags are added by Express, which also answers matching conditional requests with 304.
+ */
+function setVideoCacheHeaders(res, video, result) {
+  const maxAge = result.isPlaceholder ? API_CACHE_PENDING_MAX_AGE_SECONDS : API_CACHE_MAX_AGE_SECONDS;
+  res.set('Cache-Control', `public, max-age=${maxAge}, stale-while-revalidate=${maxAge}`);
+  
+  const modified = new Date(video.updatedAt || video.updated || video.createdAt || video.created || 0);
+  if (modified.getTime() > 0) {
+    res.set('Last-Modified', modified.toUTCString());
+  }
+}
+
+// Encoding progress watchers by "owner/permlink". Every watcher polls the embed
+// collection once per interval no matter how many viewers are connected.
+const progressWatchers = new Map();
+const progressStreamsByIp = new Map();
+let progressStreamCount = 0;
+
+/**
+ * Write a Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send an event to every client of a watcher, optionally ending the streams
+ */
+function broadcastProgress(watcher, event, getData, end = false) {
+  watcher.clients.forEach(client => {
+    sendEvent(client.res, event, getData(client));
+    if (end) {
+      endProgressClient(watcher.owner, watcher.permlink, client);
+    }
+  });
+}
+
+/**
+ * Poll an embed video and push status/progress changes to its watchers
+ */
+async function pollEncodingProgress(watcher) {
+  if (watcher.polling) {
+    return;
+  }
+  watcher.polling = true;
+  
+  try {
+    const video = await db.findEmbedVideo(watcher.owner, watcher.permlink);
+    if (!video) {
+      broadcastProgress(watcher, 'failed', () => ({ error: 'Video not found' }), true);
+      return;
+    }
+    
+    const result = getVideoUrlsForEmbedStatus(video);
+    
+    // Playable now: refresh the lookup cache and hand the player its real sources
+    if (!result.error && !result.isPlaceholder) {
+      cacheVideo('embed', watcher.owner, watcher.permlink, video);
+      broadcastProgress(watcher, 'ready', client => getEmbedVideoData(video, result, client.baseUrl), true);
+      return;
+    }
+    
+    if (result.placeholderType === PLACEHOLDER_TYPE.FAILED || result.placeholderType === PLACEHOLDER_TYPE.DELETED) {
+      broadcastProgress(watcher, 'failed', () => ({ status: video.status, placeholder: result.placeholderType }), true);
+      return;
+    }
+    
+    const state = {
+      status: video.status,
+      encodingProgress: video.encodingProgress || 0
+    };
+    if (!watcher.last || watcher.last.status !== state.status || watcher.last.encodingProgress !== state.encodingProgress) {
+      watcher.last = state;
+      broadcastProgress(watcher, 'progress', () => state);
+    }
+  } catch (error) {
+    console.error('Error polling encoding progress:', error);
+  } finally {
+    watcher.polling = false;
+  }
+}
+
+/**
+ * Attach a client stream to the watcher of a video (created on first client)
+ */
+function addProgressClient(owner, permlink, client) {
+  const key = `${owner}/${permlink}`;
+  let watcher = progressWatchers.get(key);
+  
+  if (!watcher) {
+    watcher = { owner, permlink, clients: new Set(), last: null, polling: false, timer: null };
+    progressWatchers.set(key, watcher);
+    watcher.timer = setInterval(() => pollEncodingProgress(watcher), PROGRESS_POLL_INTERVAL_MS);
+    watcher.timer.unref();
+  } else if (watcher.last) {
+    sendEvent(client.res, 'progress', watcher.last);
+  }
+  
+  watcher.clients.add(client);
+  progressStreamCount++;
+  progressStreamsByIp.set(client.ipHash, (progressStreamsByIp.get(client.ipHash) || 0) + 1);
+  
+  if (watcher.clients.size === 1) {
+    pollEncodingProgress(watcher);
+  }
+}
+
+/**
+ * Detach a client stream; the watcher stops polling when its last client leaves
+ */
+function removeProgressClient(owner, permlink, client) {
+  const key = `${owner}/${permlink}`;
+  const watcher = progressWatchers.get(key);
+  if (!watcher || !watcher.clients.delete(client)) {
+    return;
+  }
+  
+  clearInterval(client.keepAlive);
+  clearTimeout(client.maxAge);
+  progressStreamCount--;
+  const ipStreams = progressStreamsByIp.get(client.ipHash) - 1;
+  if (ipStreams > 0) {
+    progressStreamsByIp.set(client.ipHash, ipStreams);
+  } else {
+    progressStreamsByIp.delete(client.ipHash);
+  }
+  if (watcher.clients.size === 0) {
+    clearInterval(watcher.timer);
+    progressWatchers.delete(key);
+  }
+}
+
+/**
+ * Detach a client before ending its stream, so nothing writes to it until 'close' fires
+ */
+function endProgressClient(owner, permlink, client) {
+  removeProgressClient(owner, permlink, client);
+  client.res.end();
+}
+
+/**
+ * Determine video orientation from stored metadata (shorts are vertical)
+ */
+function getVideoOrientation(video) {
+  if (video.short) {
+    return 'vertical';
+  }
+  if (video.width && video.height) {
+    if (video.height > video.width) return 'vertical';
+    if (video.height === video.width) return 'square';
+  }
+  return 'horizontal';
+}
+
+/**
+ * Calculate oEmbed iframe size from layout/orientation, scaled down to fit
+ * maxwidth/maxheight while keeping the aspect ratio
+ */
+function getOEmbedSize(orientation, layout, maxWidth, maxHeight) {
+  let size;
+  if (layout && OEMBED_SIZES[layout]) {
+    size = OEMBED_SIZES[layout];
+  } else if (orientation === 'vertical') {
+    size = OEMBED_SIZES.vertical;
+  } else if (orientation === 'square') {
+    size = OEMBED_SIZES.square;
+  } else {
+    size = OEMBED_SIZES.desktop;
+  }
+  
+  let scale = 1;
+  if (maxWidth > 0 && size.width > maxWidth) {
+    scale = Math.min(scale, maxWidth / size.width);
+  }
+  if (maxHeight > 0 && size.height > maxHeight) {
+    scale = Math.min(scale, maxHeight / size.height);
+  }
+  
+  return {
+    width: Math.floor(size.width * scale),
+    height: Math.floor(size.height * scale)
+  };
+}
+
+/**
+ * Parse a player URL (/watch?v=... or /embed?v=...) into route, owner, permlink and layout
+ */
+function parsePlayerUrl(playerUrl) {
+  let parsed;
+  try {
+    parsed = new URL(playerUrl);
+  } catch (error) {
+    return { error: 'Invalid url parameter' };
+  }
+  
+  const route = parsed.pathname.replace(/\/+$/, '');
+  if (route !== '/watch' && route !== '/embed') {
+    return { error: 'Unsupported URL. Expected /watch?v=owner/permlink or /embed?v=owner/permlink' };
+  }
+  
+  const params = parseVideoParams(parsed.searchParams.get('v'));
+  if (params.error) {
+    return params;
+  }
+  
+  return {
+    type: route === '/embed' ? 'embed' : 'legacy',
+    route,
+    owner: params.owner,
+    permlink: params.permlink,
+    layout: parsed.searchParams.get('layout')
+  };
+}
+
+/**
+ * Normalized API data for a legacy video (/api/watch and batch lookups)
+ */
+function getLegacyVideoData(video, result, baseUrl) {
+  return {
+    success: true,
+    type: 'legacy',
+    owner: video.owner,
+    permlink: video.permlink,
+    title: getVideoTitle('legacy', video),
+    description: video.description || '',
+    status: video.status,
+    isPlaceholder: result.isPlaceholder,
+    placeholder: result.placeholderType || null,
+    publishAt: result.publishAt ? result.publishAt.toISOString() : null,
+    thumbnail: getLegacyThumbnail(video),
+    videoUrl: result.urls.primary,
+    videoUrlFallback1: result.urls.fallback1,
+    videoUrlFallback2: result.urls.fallback2,
+    videoUrlFallback3: result.urls.fallback3,
+    duration: video.duration || 0,
+    views: video.views || 0,
+    tags: video.tags_v2 || video.tags || [],
+    subtitles: result.isPlaceholder ? [] : getSubtitles(video, baseUrl),
+    storyboard: result.isPlaceholder ? null : getStoryboard(video),
+    chapters: result.isPlaceholder ? [] : (Array.isArray(video.chapters)
+      ? getChaptersField(video)
+      : parseChaptersFromDescription(video.description, video.duration)),
+    minViewSeconds: VIEW_MIN_WATCH_SECONDS
+  };
+}
+
+/**
+ * Normalized API data for an embed video (/api/embed and batch lookups)
+ */
+function getEmbedVideoData(video, result, baseUrl) {
+  return {
+    success: true,
+    type: 'embed',
+    owner: video.owner,
+    permlink: video.permlink,
+    title: getVideoTitle('embed', video),
+    status: video.status,
+    isPlaceholder: result.isPlaceholder,
+    placeholder: result.placeholderType || null,
+    videoUrl: result.urls.primary,
+    videoUrlFallback1: result.urls.fallback1,
+    videoUrlFallback2: result.urls.fallback2,
+    videoUrlFallback3: result.urls.fallback3,
+    thumbnail: getEmbedThumbnail(video),
+    duration: video.duration || 0,
+    views: video.views || 0,
+    short: video.short || false,
+    createdAt: video.createdAt,
+    updatedAt: video.updatedAt,
+    encodingProgress: video.encodingProgress || 0,
+    subtitles: result.isPlaceholder ? [] : getSubtitles(video, baseUrl),
+    storyboard: result.isPlaceholder ? null : getStoryboard(video),
+    chapters: result.isPlaceholder ? [] : getChaptersField(video),
+    minViewSeconds: VIEW_MIN_WATCH_SECONDS
+  };
+}
+
+/**
+ * Source-independent video data for /api/video (schema in README.md).
+ * Every field is always present; what a source doesn't have is null.
+ */
+function getVideoData(source, video, result, baseUrl) {
+  const data = source === 'embed'
+    ? getEmbedVideoData(video, result, baseUrl)
+    : getLegacyVideoData(video, result, baseUrl);
+  
+  return {
+    success: true,
+    schemaVersion: VIDEO_SCHEMA_VERSION,
+    source: source,
+    owner: data.owner,
+    permlink: data.permlink,
+    title: data.title,
+    description: video.description || null,
+    tags: video.tags_v2 || video.tags || [],
+    thumbnail: data.thumbnail || null,
+    duration: video.duration || null,
+    width: video.width || null,
+    height: video.height || null,
+    short: !!video.short,
+    views: data.views,
+    createdAt: toIsoDate(video.createdAt || video.created),
+    updatedAt: toIsoDate(video.updatedAt || video.updated),
+    status: video.status || null,
+    isPlaceholder: data.isPlaceholder,
+    placeholder: data.placeholder,
+    publishAt: data.publishAt || null,
+    encodingProgress: source === 'embed' ? data.encodingProgress : null,
+    videoUrl: data.videoUrl || null,
+    videoUrlFallback1: data.videoUrlFallback1 || null,
+    videoUrlFallback2: data.videoUrlFallback2 || null,
+    videoUrlFallback3: data.videoUrlFallback3 || null,
+    subtitles: data.subtitles,
+    storyboard: data.storyboard,
+    chapters: data.chapters,
+    minViewSeconds: data.minViewSeconds
+  };
+}
+
+/**
+ * Format a stored date as ISO 8601 (null when missing or invalid)
+ */
+function toIsoDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Get the display title of a video
+ */
+function getVideoTitle(type, video) {
+  return type === 'embed'
+    ? video.originalFilename || `${video.owner}/${video.permlink}`
+    : video.title || 'Untitled Video';
+}
+
+/**
+ * Link preview text for a video that currently plays a placeholder
+ */
+function getPlaceholderDescription(result) {
+  switch (result.placeholderType) {
+    case PLACEHOLDER_TYPE.PROCESSING:
+      return 'This video is still processing. Check back in a few minutes.';
+    case PLACEHOLDER_TYPE.SCHEDULED:
+      return `This video premieres on ${result.publishAt.toUTCString()}.`;
+    default:
+      return 'This video is no longer available on 3speak.';
+  }
+}
+
+/**
+ * Plain-text summary of a (markdown/HTML) description for link previews
+ */
+function summarizeDescription(description) {
+  const text = String(description || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')   // Images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // Links keep their text
+    .replace(/[#*_`>~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  return text.length > SHARE_DESCRIPTION_LENGTH
+    ? `${text.slice(0, SHARE_DESCRIPTION_LENGTH - 1).trimEnd()}…`
+    : text;
+}
+
+/**
+ * Build link preview metadata for a /watch or /embed page.
+ * Missing videos and placeholders get generic metadata without a player card.
+ */
+function getShareMetadata(baseUrl, route, type, video, result) {
+  const defaultImage = `${process.env.IPFS_GATEWAY}/${process.env.DEFAULT_THUMBNAIL_CID}`;
+  
+  if (!video || result.error) {
+    return {
+      title: 'Video not available | 3speak',
+      description: 'This video could not be found on 3speak.',
+      image: defaultImage,
+      url: `${baseUrl}${route}`,
+      noindex: true
+    };
+  }
+  
+  const videoPath = `${encodeURIComponent(video.owner)}/${encodeURIComponent(video.permlink)}`;
+  const title = getVideoTitle(type, video);
+  const image = type === 'embed' ? getEmbedThumbnail(video) : getLegacyThumbnail(video);
+  const url = `${baseUrl}${route}?v=${videoPath}`;
+  
+  if (result.isPlaceholder) {
+    return {
+      title: `${title} | 3speak`,
+      description: getPlaceholderDescription(result),
+      image: image,
+      url: url,
+      noindex: true
+    };
+  }
+  
+  const description = summarizeDescription(type === 'legacy' ? video.description : '')
+    || `Watch ${title} by @${video.owner} on 3speak`;
+  const playerUrl = `${baseUrl}${route}?v=${videoPath}&mode=iframe`;
+  const playerSize = getOEmbedSize(getVideoOrientation(video), null);
+  const uploadDate = video.created || video.createdAt;
+  
+  return {
+    title: `${title} | 3speak`,
+    description: description,
+    image: image,
+    url: url,
+    author: video.owner,
+    player: { url: playerUrl, width: playerSize.width, height: playerSize.height },
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@type': 'VideoObject',
+      name: title,
+      description: description,
+      thumbnailUrl: [image],
+      uploadDate: uploadDate ? new Date(uploadDate).toISOString() : undefined,
+      duration: video.duration > 0 ? `PT${Math.round(video.duration)}S` : undefined,
+      embedUrl: playerUrl,
+      contentUrl: result.urls.primary || undefined,
+      author: { '@type': 'Person', name: video.owner, url: `https://3speak.tv/user/${encodeURIComponent(video.owner)}` },
+      interactionStatistic: {
+        '@type': 'InteractionCounter',
+        interactionType: { '@type': 'WatchAction' },
+        userInteractionCount: video.views || 0
+      }
+    }
+  };
+}
+
+/**
+ * Render share metadata as Open Graph, Twitter Card and JSON-LD head tags
+ */
+function renderShareTags(meta) {
+  const property = (name, content) => `<meta property="${name}" content="${escapeHtml(content)}">`;
+  const named = (name, content) => `<meta name="${name}" content="${escapeHtml(content)}">`;
+  
+  const tags = [
+    named('description', meta.description),
+    `<link rel="canonical" href="${escapeHtml(meta.url)}">`,
+    property('og:site_name', '3speak'),
+    property('og:type', meta.player ? 'video.other' : 'website'),
+    property('og:title', meta.title),
+    property('og:description', meta.description),
+    property('og:url', meta.url),
+    property('og:image', meta.image),
+    named('twitter:title', meta.title),
+    named('twitter:description', meta.description),
+    named('twitter:image', meta.image)
+  ];
+  
+  if (meta.noindex) {
+    tags.push(named('robots', 'noindex'));
+  }
+  
+  if (meta.player) {
+    tags.push(
+      property('og:video', meta.player.url),
+      property('og:video:secure_url', meta.player.url),
+      property('og:video:type', 'text/html'),
+      property('og:video:width', meta.player.width),
+      property('og:video:height', meta.player.height),
+      named('twitter:card', 'player'),
+      named('twitter:player', meta.player.url),
+      named('twitter:player:width', meta.player.width),
+      named('twitter:player:height', meta.player.height)
+    );
+  } else {
+    tags.push(named('twitter:card', 'summary_large_image'));
+  }
+  
+  if (meta.jsonLd) {
+    // "<" is escaped so a title can't close the script element
+    const json = JSON.stringify(meta.jsonLd).replace(/</g, '\\u003c');
+    tags.push(`<script type="application/ld+json">${json}</script>`);
+  }
+  
+  return tags;
+}
+
+// ============================================================================
+// API ROUTES
+// ============================================================================
+
+/**
+ * GET /api/video?v=owner/permlink
+ * Returns video metadata from whichever collection has the video, in the
+ * versioned schema documented in README.md (source tells which one it was)
+ */
+app.get('/api/video', async (req, res) => {
+  try {
+    const params = parseVideoParams(req.query.v);
+    if (params.error) {
+      return res.status(400).json({ error: params.error });
+    }
+    
+    const found = await resolveVideo(params.owner, params.permlink);
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    if (found.result.error) {
+      return res.status(404).json({
+        error: found.result.error,
+        status: found.result.status
+      });
+    }
+    
+    setVideoCacheHeaders(res, found.video, found.result);
+    res.json(getVideoData(found.source, found.video, found.result, getBaseUrl(req)));
+    
+  } catch (error) {
+    console.error('Error fetching video:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/watch?v=owner/permlink
+ * Returns legacy video metadata from videos collection
+ */
+app.get('/api/watch', async (req, res) => {
+  try {
+    // Parse and validate parameters
+    const params = parseVideoParams(req.query.v);
+    if (params.error) {
+      return res.status(400).json({ error: params.error });
+    }
+    
+    const { owner, permlink } = params;
+    
+    // Find video in legacy collection
+    const video = await findVideo('legacy', owner, permlink);
+    
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    // Determine video URLs based on status
+    const result = getVideoUrlsForLegacyStatus(video);
+    
+    if (result.error) {
       return res.status(404).json({ 
         error: result.error,
         status: result.status 
@@ -280,26 +1499,8 @@ app.get('/api/watch', async (req, res) => {
     }
     
     // Return video data with CDN-first fallback chain
-    res.json({
-      success: true,
-      type: 'legacy',
-      owner: video.owner,
-      permlink: video.permlink,
-      title: video.title || 'Untitled Video',
-      description: video.description || '',
-      status: video.status,
-      isPlaceholder: result.isPlaceholder,
-      thumbnail: video.thumbnail 
-        ? transformIPFSUrl(video.thumbnail) 
-        : `${process.env.IPFS_GATEWAY}/${process.env.DEFAULT_THUMBNAIL_CID}`,
-      videoUrl: result.urls.primary,
-      videoUrlFallback1: result.urls.fallback1,
-      videoUrlFallback2: result.urls.fallback2,
-      videoUrlFallback3: result.urls.fallback3,
-      duration: video.duration || 0,
-      views: video.views || 0,
-      tags: video.tags_v2 || video.tags || []
-    });
+    setVideoCacheHeaders(res, video, result);
+    res.json(getLegacyVideoData(video, result, getBaseUrl(req)));
     
   } catch (error) {
     console.error('Error fetching legacy video:', error);
@@ -322,7 +1523,7 @@ app.get('/api/embed', async (req, res) => {
     const { owner, permlink } = params;
     
     // Find video in embed collection
-    const video = await db.findEmbedVideo(owner, permlink);
+    const video = await findVideo('embed', owner, permlink);
     
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
@@ -338,31 +1539,9 @@ app.get('/api/embed', async (req, res) => {
       });
     }
     
-    // Determine thumbnail
-    const thumbnail = video.thumbnail_url 
-      || `${process.env.IPFS_GATEWAY}/${process.env.DEFAULT_THUMBNAIL_CID}`;
-    
     // Return video data with CDN-first fallback chain
-    res.json({
-      success: true,
-      type: 'embed',
-      owner: video.owner,
-      permlink: video.permlink,
-      title: video.originalFilename || `${video.owner}/${video.permlink}`,
-      status: video.status,
-      isPlaceholder: result.isPlaceholder,
-      videoUrl: result.urls.primary,
-      videoUrlFallback1: result.urls.fallback1,
-      videoUrlFallback2: result.urls.fallback2,
-      videoUrlFallback3: result.urls.fallback3,
-      thumbnail: thumbnail,
-      duration: video.duration || 0,
-      views: video.views || 0,
-      short: video.short || false,
-      createdAt: video.createdAt,
-      updatedAt: video.updatedAt,
-      encodingProgress: video.encodingProgress || 0
-    });
+    setVideoCacheHeaders(res, video, result);
+    res.json(getEmbedVideoData(video, result, getBaseUrl(req)));
     
   } catch (error) {
     console.error('Error fetching embed video:', error);
@@ -370,63 +1549,609 @@ app.get('/api/embed', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/embed/progress?v=owner/permlink
+ * Server-Sent Events stream of an embed video's encoding status:
+ *   progress - { status, encodingProgress } whenever either changes
+ *   ready    - the /api/embed response once the real video can play (stream ends)
+ *   failed   - { status, placeholder } or { error } when encoding failed or the video is gone (stream ends)
+ */
+app.get('/api/embed/progress', (req, res) => {
+  const params = parseVideoParams(req.query.v);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+  
+  if (progressStreamCount >= PROGRESS_MAX_STREAMS) {
+    return res.status(503).json({ error: 'Too many progress streams, try again later' });
+  }
+  
+  // Every stream of a new video adds a database poller, so one client can't open many
+  const ipHash = hashIp(req.ip);
+  if ((progressStreamsByIp.get(ipHash) || 0) >= PROGRESS_MAX_STREAMS_PER_IP || isRateLimited('progress', ipHash, PROGRESS_RATE_LIMIT_PER_HOUR)) {
+    return res.status(429).json({ error: 'Too many progress streams' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'  // Disable nginx response buffering
+  });
+  res.flushHeaders();
+  res.write(`retry: ${PROGRESS_POLL_INTERVAL_MS}\n\n`);
+  
+  const { owner, permlink } = params;
+  const client = { res, baseUrl: getBaseUrl(req), ipHash, keepAlive: null, maxAge: null };
+  client.keepAlive = setInterval(() => res.write(': keep-alive\n\n'), PROGRESS_KEEPALIVE_MS);
+  client.maxAge = setTimeout(() => endProgressClient(owner, permlink, client), PROGRESS_STREAM_MAX_MS);
+  
+  res.on('close', () => removeProgressClient(owner, permlink, client));
+  
+  addProgressClient(owner, permlink, client);
+});
+
+/**
+ * POST /api/videos/batch
+ * Returns metadata for many videos in one round trip (feed pages)
+ * Body: { items: [{ owner, permlink, type: 'legacy' | 'embed' }] }
+ * Each result is the /api/watch or /api/embed response, or { success: false, error } for that item.
+ */
+app.post('/api/videos/batch', async (req, res) => {
+  try {
+    const items = req.body && req.body.items;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Missing items array' });
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: `Too many items (max ${BATCH_MAX_ITEMS})` });
+    }
+    
+    const requests = items.map(item => {
+      const { owner, permlink, type = 'legacy' } = item || {};
+      if (typeof owner !== 'string' || typeof permlink !== 'string' || !owner || !permlink) {
+        return { owner, permlink, type, error: 'Missing owner or permlink' };
+      }
+      if (type !== 'legacy' && type !== 'embed') {
+        return { owner, permlink, type, error: 'Invalid type. Must be "legacy" or "embed"' };
+      }
+      return { owner, permlink, type };
+    });
+    
+    const videos = await findVideos(requests.filter(request => !request.error));
+    const baseUrl = getBaseUrl(req);
+    
+    const results = requests.map(({ owner, permlink, type, error }) => {
+      if (error) {
+        return { success: false, owner, permlink, type, error };
+      }
+      
+      const video = videos.get(`${type}:${owner}/${permlink}`);
+      if (!video) {
+        return { success: false, owner, permlink, type, error: 'Video not found' };
+      }
+      
+      const result = type === 'embed' ? getVideoUrlsForEmbedStatus(video) : getVideoUrlsForLegacyStatus(video);
+      if (result.error) {
+        return { success: false, owner, permlink, type, error: result.error, status: result.status };
+      }
+      
+      return type === 'embed'
+        ? getEmbedVideoData(video, result, baseUrl)
+        : getLegacyVideoData(video, result, baseUrl);
+    });
+    
+    res.json({ success: true, videos: results });
+    
+  } catch (error) {
+    console.error('Error fetching video batch:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/view/token?v=owner/permlink&type=legacy
+ * Issues the signed view token that POST /api/view requires. Kept out of the
+ * (cacheable) metadata responses so the token age reflects when playback started.
+ */
+app.get('/api/view/token', (req, res) => {
+  const params = parseVideoParams(req.query.v);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+  
+  const type = req.query.type;
+  if (type !== 'legacy' && type !== 'embed') {
+    return res.status(400).json({ error: 'Invalid type. Must be "legacy" or "embed"' });
+  }
+  
+  const ipHash = hashIp(req.ip);
+  if (isRateLimited('token', ipHash, VIEW_TOKEN_RATE_LIMIT_PER_HOUR)) {
+    return res.status(429).json({ error: 'Too many view token requests' });
+  }
+  
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    viewToken: createViewToken(type, params.owner, params.permlink, ipHash),
+    minViewSeconds: VIEW_MIN_WATCH_SECONDS
+  });
+});
+
 /**
  * POST /api/view
- * Increment view count only for published/ready videos (not placeholders)
- * Body: { owner, permlink, type: 'legacy' | 'embed' }
+ * Count a view only for published/ready videos (not placeholders), after a
+ * minimum amount of playback, once per viewer session within the dedup window
+ * Body: { owner, permlink, type: 'legacy' | 'embed', viewToken, sessionId, watchedSeconds }
  */
 app.post('/api/view', async (req, res) => {
   try {
-    const { owner, permlink, type } = req.body;
+    const { owner, permlink, type, viewToken, sessionId, watchedSeconds } = req.body || {};
     
-    if (!owner || !permlink || !type) {
+    if (typeof owner !== 'string' || typeof permlink !== 'string' || !owner || !permlink || !type) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    let video = null;
-    let success = false;
+    if (type !== 'legacy' && type !== 'embed') {
+      return res.status(400).json({ error: 'Invalid type. Must be "legacy" or "embed"' });
+    }
+    
+    if (typeof sessionId !== 'string' || !/^[A-Za-z0-9-]{8,64}$/.test(sessionId)) {
+      return res.status(400).json({ error: 'Missing or invalid sessionId' });
+    }
+    
+    const ipHash = hashIp(req.ip);
+    const token = verifyViewToken(viewToken, type, owner, permlink, ipHash);
+    if (token.error) {
+      return res.status(403).json({ error: token.error });
+    }
+    
+    if (isRateLimited('view', ipHash, VIEW_RATE_LIMIT_PER_HOUR)) {
+      return res.status(429).json({ success: false, counted: false, reason: 'Too many view requests' });
+    }
+    
+    // Require real playback: reported watch time, and at least as much wall time since the video was loaded
+    const watched = Number(watchedSeconds) || 0;
+    const elapsedSeconds = (Date.now() - token.issuedAt) / 1000;
+    if (watched < VIEW_MIN_WATCH_SECONDS || elapsedSeconds < VIEW_MIN_WATCH_SECONDS) {
+      return res.json({ success: false, counted: false, reason: 'Minimum playback not reached' });
+    }
     
     // Fetch video to check status before incrementing views
-    if (type === 'legacy') {
-      video = await db.findLegacyVideo(owner, permlink);
-    } else if (type === 'embed') {
-      video = await db.findEmbedVideo(owner, permlink);
-    } else {
+    const video = await findVideo(type, owner, permlink);
+    
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    // Don't count views for placeholders (deleted/processing/failed/not yet premiered)
+    const result = type === 'embed' ? getVideoUrlsForEmbedStatus(video) : getVideoUrlsForLegacyStatus(video);
+    if (result.error || result.isPlaceholder) {
+      return res.json({ success: false, counted: false, reason: 'Video not in published state' });
+    }
+    
+    // One view per viewer session within the dedup window
+    const since = new Date(Date.now() - VIEW_DEDUP_WINDOW_MS);
+    const existing = await db.findRecentViewEvent(owner, permlink, sessionId, since);
+    if (existing) {
+      return res.json({ success: false, counted: false, reason: 'Already counted for this session' });
+    }
+    
+    // Each view token counts once. The nonce is unique in storage, so concurrent
+    // requests with the same token can't both get past this insert.
+    const recorded = await db.recordViewEvent({
+      owner,
+      permlink,
+      type,
+      sessionId,
+      tokenNonce: token.nonce,
+      ipHash,
+      watchedSeconds: Math.floor(watched)
+    });
+    if (!recorded) {
+      return res.json({ success: false, counted: false, reason: 'Already counted for this view token' });
+    }
+    
+    const success = type === 'legacy'
+      ? await db.incrementLegacyViews(owner, permlink)
+      : await db.incrementEmbedViews(owner, permlink);
+    
+    res.json({ success: success, counted: true });
+    
+  } catch (error) {
+    console.error('Error incrementing views:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/analytics/heartbeat
+ * Adds a player heartbeat to the watch-time aggregates of a video
+ * Body: { owner, permlink, type, viewToken, started, watchedSeconds, seconds: [int], quartiles: [25|50|75|100] }
+ */
+app.post('/api/analytics/heartbeat', async (req, res) => {
+  try {
+    const { owner, permlink, type, viewToken, started, watchedSeconds, seconds, quartiles } = req.body || {};
+    
+    if (typeof owner !== 'string' || typeof permlink !== 'string' || !owner || !permlink || (type !== 'legacy' && type !== 'embed')) {
+      return res.status(400).json({ error: 'Missing or invalid fields' });
+    }
+    
+    // Heartbeats carry the signed view token so only loaded videos get aggregates
+    const ipHash = hashIp(req.ip);
+    const token = verifyViewToken(viewToken, type, owner, permlink, ipHash);
+    if (token.error) {
+      return res.status(403).json({ error: token.error });
+    }
+    
+    if (isRateLimited('analytics', ipHash, ANALYTICS_RATE_LIMIT_PER_HOUR)) {
+      return res.status(429).json({ error: 'Too many analytics requests' });
+    }
+    
+    const video = await findVideo(type, owner, permlink);
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const inc = {};
+    
+    // A session and each quartile count once per view token, and its watch time at most the video's duration
+    const uncounted = getUncountedAnalytics(
+      token.nonce,
+      started === true,
+      Array.isArray(quartiles) ? ANALYTICS_QUARTILES.filter(quartile => quartiles.includes(quartile)) : [],
+      Math.min(Math.max(Number(watchedSeconds) || 0, 0), ANALYTICS_MAX_HEARTBEAT_SECONDS),
+      Number(video.duration) > 0 ? Number(video.duration) : ANALYTICS_MAX_RETENTION_SECONDS
+    );
+    
+    if (uncounted.watched > 0) {
+      inc.watchTime = Math.round(uncounted.watched * 10) / 10;
+    }
+    
+    if (uncounted.started) {
+      inc.sessions = 1;
+    }
+    
+    uncounted.quartiles.forEach(quartile => { inc[`quartiles.${quartile}`] = 1; });
+    
+    // Retention only counts along with watch time, so it is capped the same way
+    if (uncounted.watched > 0 && Array.isArray(seconds)) {
+      new Set(seconds.slice(0, ANALYTICS_MAX_HEARTBEAT_SECONDS * 2))
+        .forEach(second => {
+          if (Number.isInteger(second) && second >= 0 && second < ANALYTICS_MAX_RETENTION_SECONDS) {
+            inc[`retention.${second}`] = 1;
+          }
+        });
+    }
+    
+    if (Object.keys(inc).length > 0) {
+      await db.recordAnalyticsHeartbeat(owner, permlink, type, inc);
+    }
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Error recording analytics heartbeat:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/analytics?v=owner/permlink&type=legacy|embed
+ * Returns watch time, completion quartiles and per-second retention for a video
+ */
+app.get('/api/analytics', async (req, res) => {
+  try {
+    const params = parseVideoParams(req.query.v);
+    if (params.error) {
+      return res.status(400).json({ error: params.error });
+    }
+    
+    const type = req.query.type || 'legacy';
+    if (type !== 'legacy' && type !== 'embed') {
       return res.status(400).json({ error: 'Invalid type. Must be "legacy" or "embed"' });
     }
     
+    const { owner, permlink } = params;
+    const analytics = await db.findVideoAnalytics(owner, permlink, type) || {};
+    
+    const sessions = analytics.sessions || 0;
+    const watchTime = analytics.watchTime || 0;
+    
+    // Retention is stored as { second: viewers }; return it as a dense array
+    const retentionMap = analytics.retention || {};
+    const lastSecond = Math.max(-1, ...Object.keys(retentionMap).map(Number));
+    const retention = Array.from({ length: lastSecond + 1 }, (value, second) => retentionMap[second] || 0);
+    
+    const quartiles = {};
+    const completionRates = {};
+    ANALYTICS_QUARTILES.forEach(quartile => {
+      quartiles[quartile] = analytics.quartiles?.[quartile] || 0;
+      completionRates[quartile] = sessions > 0
+        ? Math.round((quartiles[quartile] / sessions) * 1000) / 1000
+        : 0;
+    });
+    
+    res.json({
+      success: true,
+      owner,
+      permlink,
+      type,
+      sessions,
+      watchTime: Math.round(watchTime),
+      averageWatchTime: sessions > 0 ? Math.round(watchTime / sessions) : 0,
+      quartiles,
+      completionRates,
+      retention,
+      updatedAt: analytics.updatedAt || null
+    });
+    
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/telemetry
+ * Playback quality report sent by the player once per playback session (or on error)
+ * Body: { owner, permlink, type, viewToken, gateway, startupTime, rebufferCount,
+ *         rebufferDuration, playTime, bandwidth, renditions: { '720p': seconds }, errors: [{ code }] }
+ */
+app.post('/api/telemetry', async (req, res) => {
+  try {
+    const report = req.body || {};
+    const { owner, permlink, type } = report;
+    
+    if (typeof owner !== 'string' || typeof permlink !== 'string' || !owner || !permlink || (type !== 'legacy' && type !== 'embed')) {
+      return res.status(400).json({ error: 'Missing or invalid fields' });
+    }
+    
+    const ipHash = hashIp(req.ip);
+    const token = verifyViewToken(report.viewToken, type, owner, permlink, ipHash);
+    if (token.error) {
+      return res.status(403).json({ error: token.error });
+    }
+    
+    if (isRateLimited('analytics', ipHash, ANALYTICS_RATE_LIMIT_PER_HOUR)) {
+      return res.status(429).json({ error: 'Too many analytics requests' });
+    }
+    
+    if (!acceptTelemetryReport(token.nonce)) {
+      return res.json({ success: false, reason: 'Report limit reached for this view token' });
+    }
+    
+    const inc = {
+      reports: 1,
+      playTime: clampNumber(report.playTime, 6 * 3600),
+      rebufferCount: Math.round(clampNumber(report.rebufferCount, 1000)),
+      rebufferDuration: Math.round(clampNumber(report.rebufferDuration, 6 * 3600 * 1000))
+    };
+    
+    if (report.startupTime !== null && report.startupTime !== undefined) {
+      inc.startupTimeTotal = Math.round(clampNumber(report.startupTime, 120000));
+      inc.startupSamples = 1;
+    }
+    
+    if (report.bandwidth) {
+      inc.bandwidthTotal = Math.round(clampNumber(report.bandwidth, 1e9));
+      inc.bandwidthSamples = 1;
+    }
+    
+    if (report.renditions && typeof report.renditions === 'object') {
+      Object.keys(report.renditions)
+        .filter(rendition => /^\d{2,4}p$/.test(rendition))
+        .slice(0, 10)
+        .forEach(rendition => {
+          inc[`renditions.${rendition}`] = Math.round(clampNumber(report.renditions[rendition], 6 * 3600));
+        });
+    }
+    
+    if (Array.isArray(report.errors) && report.errors.length > 0) {
+      inc.errorReports = 1;
+      report.errors.slice(0, 10).forEach(error => {
+        const code = String(error && error.code).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32) || 'unknown';
+        inc[`errors.${code}`] = (inc[`errors.${code}`] || 0) + 1;
+      });
+    }
+    
+    let gateway = 'unknown';
+    try {
+      gateway = new URL(report.gateway).hostname || 'unknown';
+    } catch (error) {
+      // Missing gateway (native playback or placeholder) - keep "unknown"
+    }
+    
+    const { browser, platform } = parseUserAgent(req.get('user-agent'));
+    
+    await db.recordTelemetry([
+      { dimension: 'gateway', key: gateway, inc },
+      { dimension: 'client', key: `${browser}/${platform}`, inc },
+      { dimension: 'video', key: `${type}:${owner}/${permlink}`, inc }
+    ], getTelemetryDay());
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Error recording telemetry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/telemetry?dimension=gateway|client|video&days=1&key=
+ * Returns playback quality aggregates per gateway, browser/platform or video
+ */
+app.get('/api/telemetry', async (req, res) => {
+  try {
+    const dimension = req.query.dimension || 'gateway';
+    if (!TELEMETRY_DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({ error: `Invalid dimension. Must be one of: ${TELEMETRY_DIMENSIONS.join(', ')}` });
+    }
+    
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 1, 1), TELEMETRY_MAX_DAYS);
+    const since = getTelemetryDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+    
+    const documents = await db.findTelemetry(dimension, since, req.query.key);
+    
+    // Merge daily buckets per key
+    const totals = {};
+    documents.forEach(document => {
+      const total = totals[document.key] = totals[document.key] || { key: document.key, errors: {}, renditions: {} };
+      ['reports', 'playTime', 'rebufferCount', 'rebufferDuration', 'startupTimeTotal', 'startupSamples',
+        'bandwidthTotal', 'bandwidthSamples', 'errorReports'].forEach(field => {
+        total[field] = (total[field] || 0) + (document[field] || 0);
+      });
+      ['errors', 'renditions'].forEach(field => {
+        Object.entries(document[field] || {}).forEach(([name, value]) => {
+          total[field][name] = (total[field][name] || 0) + value;
+        });
+      });
+    });
+    
+    const results = Object.values(totals)
+      .map(total => ({
+        key: total.key,
+        reports: total.reports,
+        avgStartupTime: total.startupSamples ? Math.round(total.startupTimeTotal / total.startupSamples) : null,
+        rebufferCount: total.rebufferCount,
+        rebuffersPerReport: Math.round((total.rebufferCount / total.reports) * 100) / 100,
+        rebufferRatio: total.playTime > 0
+          ? Math.round((total.rebufferDuration / 1000 / total.playTime) * 10000) / 10000
+          : 0,
+        errorRate: Math.round((total.errorReports / total.reports) * 10000) / 10000,
+        errors: total.errors,
+        renditions: total.renditions,
+        avgBandwidth: total.bandwidthSamples ? Math.round(total.bandwidthTotal / total.bandwidthSamples) : null,
+        playTime: Math.round(total.playTime)
+      }))
+      .sort((a, b) => b.reports - a.reports);
+    
+    res.json({ success: true, dimension, days, since, results });
+    
+  } catch (error) {
+    console.error('Error fetching telemetry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/subtitles?cid=<cid>/<file>
+ * Serves a subtitle file from IPFS as WebVTT (SRT is converted on the fly)
+ */
+app.get('/api/subtitles', async (req, res) => {
+  try {
+    const cidPath = req.query.cid;
+    if (typeof cidPath !== 'string' || !isSubtitleCidPath(cidPath)) {
+      return res.status(400).json({ error: 'Invalid cid parameter' });
+    }
+    
+    const text = await fetchIPFSSubtitle(cidPath);
+    if (text === null) {
+      return res.status(502).json({ error: 'Subtitle file not available' });
+    }
+    
+    // Content is addressed by CID, so it never changes
+    res.set('Cache-Control', 'public, max-age=86400, immutable');
+    res.type('text/vtt').send(text.replace(/^\uFEFF/, '').startsWith('WEBVTT') ? text : srtToVtt(text));
+    
+  } catch (error) {
+    console.error('Error serving subtitles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /oembed?url=...&format=json&maxwidth=&maxheight=&layout=
+ * oEmbed provider for /watch and /embed URLs (https://oembed.com)
+ */
+app.get('/oembed', async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (format !== 'json') {
+      return res.status(501).json({ error: 'Only format=json is supported' });
+    }
+    
+    if (!req.query.url) {
+      return res.status(400).json({ error: 'Missing url parameter' });
+    }
+    
+    const target = parsePlayerUrl(req.query.url);
+    if (target.error) {
+      return res.status(404).json({ error: target.error });
+    }
+    
+    const { type, route, owner, permlink } = target;
+    
+    const video = await findVideo(type, owner, permlink);
+    
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
     
-    // Check if video is in a "ready" status (not a placeholder)
-    const status = video.status?.toLowerCase() || '';
-    const isReadyStatus = [
-      VIDEO_STATUS.PUBLISHED,
-      VIDEO_STATUS.SCHEDULED,
-      VIDEO_STATUS.PUBLISH_LATER,
-      VIDEO_STATUS.PUBLISH_MANUAL
-    ].includes(status);
+    const result = type === 'embed'
+      ? getVideoUrlsForEmbedStatus(video)
+      : getVideoUrlsForLegacyStatus(video);
     
-    // Only increment views for ready/published videos, not placeholders
-    if (isReadyStatus) {
-      if (type === 'legacy') {
-        success = await db.incrementLegacyViews(owner, permlink);
-      } else {
-        success = await db.incrementEmbedViews(owner, permlink);
-      }
-      res.json({ success: success, counted: true });
-    } else {
-      // Don't count views for placeholders (deleted/processing/failed)
-      res.json({ success: false, counted: false, reason: 'Video not in published state' });
+    if (result.error) {
+      return res.status(404).json({ error: result.error, status: result.status });
     }
     
+    // Requested layout takes priority over the one in the pasted URL
+    const requestedLayout = (req.query.layout || target.layout || '').toLowerCase();
+    const layout = ['desktop', 'mobile', 'square'].includes(requestedLayout) ? requestedLayout : null;
+    const { width, height } = getOEmbedSize(
+      getVideoOrientation(video),
+      layout,
+      parseInt(req.query.maxwidth, 10),
+      parseInt(req.query.maxheight, 10)
+    );
+    
+    const title = getVideoTitle(type, video);
+    const baseUrl = getBaseUrl(req);
+    let embedUrl = `${baseUrl}${route}?v=${encodeURIComponent(owner)}/${encodeURIComponent(permlink)}&mode=iframe`;
+    if (layout) {
+      embedUrl += `&layout=${layout}`;
+    }
+    
+    const html = `<iframe src="${escapeHtml(embedUrl)}" width="${width}" height="${height}" ` +
+      'frameborder="0" allowfullscreen ' +
+      'allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" ' +
+      `title="${escapeHtml(title)}"></iframe>`;
+    
+    setVideoCacheHeaders(res, video, result);
+    res.json({
+      version: '1.0',
+      type: 'video',
+      provider_name: '3speak',
+      provider_url: baseUrl,
+      title: title,
+      author_name: video.owner,
+      author_url: `https://3speak.tv/user/${encodeURIComponent(video.owner)}`,
+      thumbnail_url: type === 'embed' ? getEmbedThumbnail(video) : getLegacyThumbnail(video),
+      html: html,
+      width: width,
+      height: height
+    });
+    
   } catch (error) {
-    console.error('Error incrementing views:', error);
+    console.error('Error building oEmbed response:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+/**
+ * GET /api/gateways
+ * Returns current IPFS gateway health and ordering
+ */
+app.get('/api/gateways', (req, res) => {
+  res.json({
+    success: true,
+    order: gateways.getOrderedGateways().map(gateway => gateway.name),
+    gateways: gateways.getStatus()
+  });
+});
+
 // Serve landing page for root
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'dist', 'landing.html'));
@@ -437,16 +2162,73 @@ app.get('/debug-mobile.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'debug-mobile.html'));
 });
 
-// Serve frontend for /watch and /embed routes
-app.get(['/watch', '/embed'], (req, res) => {
-  const videoParam = req.query.v;
+// Serve frontend for /watch and /embed routes, with link preview metadata
+// (Open Graph, Twitter Card, JSON-LD) for the requested video
+app.get(['/watch', '/embed'], async (req, res) => {
+  const videoParam = req.query.v || req.query.list;
   
-  // If no video parameter, redirect to landing page
+  // If no video or playlist parameter, redirect to landing page
   if (!videoParam) {
     return res.redirect('/');
   }
   
-  res.sendFile(path.join(__dirname, 'dist', 'index.html'));
+  let html;
+  try {
+    html = await fs.promises.readFile(path.join(__dirname, 'dist', 'index.html'), 'utf8');
+  } catch (error) {
+    console.error('Error reading player page:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  
+  const baseUrl = getBaseUrl(req);
+  const route = req.path.replace(/\/+$/, '');
+  const type = route === '/embed' ? 'embed' : 'legacy';
+  
+  // Playlists are previewed with their first (or selected) item
+  const params = parseVideoParams(String(req.query.v || String(req.query.list).split(',')[0]));
+  let video = null;
+  let result = {};
+  if (!params.error) {
+    try {
+      video = await findVideo(type, params.owner, params.permlink);
+      if (video) {
+        result = type === 'embed' ? getVideoUrlsForEmbedStatus(video) : getVideoUrlsForLegacyStatus(video);
+      }
+    } catch (error) {
+      // The player still works without metadata, it just previews generically
+      console.error('Error loading video for page metadata:', error);
+    }
+  }
+  
+  const meta = getShareMetadata(baseUrl, route, type, video, result);
+  
+  // oEmbed discovery so frontends can auto-embed pasted player links
+  const pageUrl = `${baseUrl}${req.originalUrl}`;
+  const oembedUrl = `${baseUrl}/oembed?format=json&url=${encodeURIComponent(pageUrl)}`;
+  const headTags = [
+    ...renderShareTags(meta),
+    `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl)}" title="3speak oEmbed">`
+  ];
+  
+  // Parent origins allowed to control the player via postMessage
+  if (process.env.EMBED_ALLOWED_ORIGINS) {
+    headTags.push(`<meta name="snapie-allowed-origins" content="${escapeHtml(process.env.EMBED_ALLOWED_ORIGINS)}">`);
+  }
+  
+  // White-label theme, by ?theme= or (in iframes) the embedding page's host. Values are validated.
+  const isIframe = req.query.mode === 'iframe';
+  const theme = themes.resolveTheme({
+    key: req.query.theme,
+    embedder: isIframe ? (typeof req.query.origin === 'string' ? req.query.origin : req.get('referer')) : null,
+    query: req.query
+  });
+  if (theme) {
+    headTags.push(`<meta name="snapie-theme" content="${escapeHtml(JSON.stringify(theme))}">`);
+  }
+  
+  res.type('html').send(html
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(meta.title)}</title>`)
+    .replace('</head>', () => `    ${headTags.join('\n    ')}\n</head>`));
 });
 
 // Serve static files from dist folder (after specific routes)
@@ -463,6 +2245,12 @@ async function startServer() {
     // Connect to MongoDB
     await db.connect();
     
+    // Start background IPFS gateway health checks
+    gateways.start();
+    
+    // Load partner themes (THEMES_FILE)
+    themes.init();
+    
     // Start Express server
     app.listen(PORT, () => {
       console.log(`✓ Server running on http://localhost:${PORT}`);
@@ -478,6 +2266,7 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\nShutting down gracefully...');
+  gateways.stop();
   await db.close();
   process.exit(0);
 });
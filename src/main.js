@@ -20,6 +20,22 @@ let shouldAutoplay = false;
 let shouldShowControls = true; // Controls visible by default
 let isChrome = false; // Detected once at startup for performance
 let isTVMode = false; // TV mode disables video.js hotkeys, Enter toggles fullscreen
+let defaultCaptionLanguage = null; // Subtitle language shown by default (cc=en)
+let playlist = null; // { items: ['owner/permlink', ...], index, type } when list= is used
+
+const UP_NEXT_COUNTDOWN = 5; // Seconds before the next playlist item starts
+
+let isResumeEnabled = true; // resume=0 turns off "Resume from" prompts
+const RESUME_STORAGE_KEY = 'snapie-watch-positions';
+const RESUME_MAX_ENTRIES = 50;     // Oldest positions are dropped beyond this
+const RESUME_MIN_POSITION = 10;    // Don't offer resume for the first seconds
+const RESUME_FINISHED_RATIO = 0.95; // Treat videos watched this far as finished
+
+let isAudioOnly = false; // audioonly=1 or the control bar toggle: thumbnail artwork, lowest rendition
+
+const ANALYTICS_HEARTBEAT_INTERVAL = 10000; // ms between heartbeats during playback
+let analytics = null; // Watch progress of the loaded video not yet sent to the server
+let telemetry = null; // Playback quality of the loaded video (startup, rebuffering, renditions, errors)
 
 function debugLog(...args) {
   if (isDebugMode) {
@@ -27,6 +43,638 @@ function debugLog(...args) {
   }
 }
 
+// ============================================================================
+// GATEWAY FAILOVER
+// Failed or timed out playlist/segment requests are retried on the next gateway
+// of the API's fallback chain, without touching player.src()
+// ============================================================================
+
+const GATEWAY_ATTEMPT_TIMEOUT = 15000; // Per-gateway timeout before trying the next one
+const PREFERRED_GATEWAY_KEY = 'snapie-preferred-gateway';
+
+let gatewayChain = [];              // Gateway base URLs of the current video, in API order
+const failedGateways = new Set();   // Gateways that failed during this session
+let preferredGateway = null;        // Last gateway that served a request successfully
+
+try {
+  preferredGateway = window.sessionStorage.getItem(PREFERRED_GATEWAY_KEY);
+} catch (e) {
+  // sessionStorage unavailable (sandboxed iframe) - keep in memory only
+}
+
+// Extract the gateway base (".../ipfs") from a gateway URL
+function getGatewayBase(url) {
+  const index = url ? url.indexOf('/ipfs/') : -1;
+  return index === -1 ? null : url.slice(0, index + '/ipfs'.length);
+}
+
+// Build the gateway chain from the API's videoUrl/videoUrlFallback1..3
+function setGatewayChain(videoData) {
+  gatewayChain = [];
+  [videoData.videoUrl, videoData.videoUrlFallback1, videoData.videoUrlFallback2, videoData.videoUrlFallback3]
+    .forEach(function(url) {
+      const base = getGatewayBase(url);
+      if (base && !gatewayChain.includes(base)) {
+        gatewayChain.push(base);
+      }
+    });
+  debugLog('Gateway chain', gatewayChain, { preferredGateway, failed: [...failedGateways] });
+}
+
+// Gateways to try in order: remembered healthy gateway first, failed ones last
+function getGatewayOrder() {
+  const healthy = gatewayChain.filter(base => !failedGateways.has(base));
+  const failed = gatewayChain.filter(base => failedGateways.has(base));
+  if (preferredGateway && healthy.includes(preferredGateway)) {
+    healthy.splice(healthy.indexOf(preferredGateway), 1);
+    healthy.unshift(preferredGateway);
+  }
+  return healthy.concat(failed);
+}
+
+// Gateway currently used for new requests
+function getCurrentGateway() {
+  return getGatewayOrder()[0] || null;
+}
+
+function rememberGateway(base) {
+  failedGateways.delete(base);
+  if (preferredGateway === base) return;
+  preferredGateway = base;
+  debugLog('Preferred gateway for this session:', base);
+  try {
+    window.sessionStorage.setItem(PREFERRED_GATEWAY_KEY, base);
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+function markGatewayFailed(base, reason) {
+  if (!base) return;
+  console.warn(`[3Speak Player] Gateway failed (${reason}): ${base}`);
+  failedGateways.add(base);
+  if (preferredGateway === base) {
+    preferredGateway = null;
+  }
+}
+
+// Replacement for videojs.Vhs.xhr: same signature, retries across gateways.
+// The returned request is a proxy onto whichever XHR is currently active so VHS
+// reads the response of the attempt that finally completed.
+function createFailoverXhr(xhrMethod) {
+  return function failoverXhr(options, callback) {
+    const uri = options.uri || options.url || '';
+    const sourceGateway = gatewayChain.find(base => uri.startsWith(`${base}/`));
+
+    if (!sourceGateway || gatewayChain.length < 2) {
+      return xhrMethod(options, callback);
+    }
+
+    const cidPath = uri.slice(sourceGateway.length);
+    const candidates = getGatewayOrder();
+    const overrides = {};
+    let activeRequest = null;
+    let attempt = 0;
+    let aborted = false;
+
+    function abortActive() {
+      aborted = true;
+      return activeRequest.abort();
+    }
+
+    function send() {
+      const gateway = candidates[attempt];
+      const isLastAttempt = attempt === candidates.length - 1;
+      const attemptOptions = {
+        ...options,
+        uri: `${gateway}${cidPath}`,
+        timeout: isLastAttempt ? options.timeout : Math.min(options.timeout || GATEWAY_ATTEMPT_TIMEOUT, GATEWAY_ATTEMPT_TIMEOUT)
+      };
+      delete attemptOptions.url;
+
+      activeRequest = xhrMethod(attemptOptions, function(error, response) {
+        const failed = error || (response && response.statusCode >= 400);
+
+        if (failed && !aborted && !isLastAttempt) {
+          markGatewayFailed(gateway, error ? (error.code || error.message) : `HTTP ${response.statusCode}`);
+          attempt++;
+          debugLog('Retrying request on next gateway', { from: gateway, to: candidates[attempt], cidPath });
+          send();
+          return;
+        }
+
+        if (!failed) {
+          rememberGateway(gateway);
+        }
+        callback(error, response);
+      });
+    }
+
+    send();
+
+    return new Proxy(overrides, {
+      get(target, prop) {
+        if (prop in target) return target[prop];
+        if (prop === 'abort') return abortActive;
+        const value = activeRequest[prop];
+        return typeof value === 'function' ? value.bind(activeRequest) : value;
+      },
+      set(target, prop, value) {
+        target[prop] = value;
+        return true;
+      }
+    });
+  };
+}
+
+if (videojs.Vhs && videojs.Vhs.xhr) {
+  const originalXhr = videojs.xhr;
+  videojs.Vhs.xhr = createFailoverXhr(originalXhr);
+}
+
+// ============================================================================
+// PARENT FRAME MESSAGING
+// Commands are only accepted from allowed origins (EMBED_ALLOWED_ORIGINS on the
+// server, optionally narrowed by the origin= parameter) and events are only posted
+// to the verified parent origin, or to an allowed origin= before the handshake.
+//
+// Protocol v1 (used by snapie-embed.js):
+//   parent -> player  { snapie: 1, id, method, params }
+//   player -> parent  { snapie: 1, id, result } or { snapie: 1, id, error: { code, message } }
+//   player -> parent  { snapie: 1, event, data }
+// Parents that never send a v1 message keep receiving the legacy
+// { type: '3speak-...' } events, and legacy { type|action|command } commands
+// are still accepted.
+// ============================================================================
+
+const PROTOCOL_VERSION = 1;
+const PARENT_EVENTS = ['ready', 'timeupdate', 'durationchange', 'play', 'pause', 'ended', 'playlist-item', 'encoding-progress', 'pip-change'];
+
+let allowedOrigins = null;      // null = any origin (EMBED_ALLOWED_ORIGINS not configured)
+let embedOrigin = null;         // origin= URL parameter
+let parentOrigin = null;        // Verified origin of the parent frame
+let parentProtocol = 0;         // Protocol version spoken by the parent (0 = legacy)
+const pendingParentMessages = []; // Events posted before the parent origin was verified
+const MAX_PENDING_PARENT_MESSAGES = 20;
+
+// Match an origin against an allowlist entry ('*', exact origin or https://*.example.com)
+function originMatches(origin, pattern) {
+  if (pattern === '*') return true;
+  if (!pattern.includes('*')) return origin === pattern;
+  const regex = new RegExp('^' + pattern
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*') + '$');
+  return regex.test(origin);
+}
+
+function isOriginAllowed(origin) {
+  if (!origin || origin === 'null') return false;
+  if (embedOrigin && origin !== embedOrigin) return false;
+  if (!allowedOrigins) return true;
+  return allowedOrigins.some(pattern => originMatches(origin, pattern));
+}
+
+// Read allowlist injected by the server and the origin= parameter
+function initParentMessaging(originParam) {
+  const meta = document.querySelector('meta[name="snapie-allowed-origins"]');
+  const configured = meta ? meta.getAttribute('content').split(',').map(o => o.trim()).filter(Boolean) : [];
+  allowedOrigins = configured.length > 0 ? configured : null;
+
+  if (originParam) {
+    try {
+      embedOrigin = new URL(originParam).origin;
+    } catch (e) {
+      console.warn('[3Speak Player] Ignoring invalid origin parameter:', originParam);
+    }
+  }
+
+  // Browsers that expose ancestorOrigins let us verify the parent without a handshake
+  const ancestorOrigin = window.location.ancestorOrigins && window.location.ancestorOrigins[0];
+  if (window.parent !== window && ancestorOrigin && isOriginAllowed(ancestorOrigin)) {
+    setParentOrigin(ancestorOrigin);
+  }
+
+  debugLog('Parent messaging', { allowedOrigins, embedOrigin, parentOrigin });
+}
+
+function setParentOrigin(origin) {
+  parentOrigin = origin;
+  while (pendingParentMessages.length > 0) {
+    sendEventToParent(pendingParentMessages.shift());
+  }
+}
+
+function isProtocolMessage(data) {
+  return !!data && typeof data === 'object' && typeof data.snapie === 'number';
+}
+
+// Send a legacy-shaped event, wrapped in an envelope for v1 parents
+function sendEventToParent(message) {
+  if (!parentProtocol) {
+    window.parent.postMessage(message, parentOrigin);
+    return;
+  }
+
+  const { type, ...data } = message;
+  const name = type.replace(/^3speak-/, '');
+  window.parent.postMessage({
+    snapie: parentProtocol,
+    event: name === 'player-ready' ? 'ready' : name,
+    data: data
+  }, parentOrigin);
+}
+
+// Post an event to the parent frame (queued until the parent origin is verified)
+function postToParent(message) {
+  if (window.parent === window) return;
+
+  if (parentOrigin) {
+    sendEventToParent(message);
+    return;
+  }
+
+  // origin= names the only page that may receive it, so listen-only embeds need no handshake
+  if (embedOrigin && isOriginAllowed(embedOrigin)) {
+    window.parent.postMessage(message, embedOrigin);
+    return;
+  }
+
+  // Only the latest time update is worth delivering after the handshake
+  if (message.type === '3speak-timeupdate') return;
+  if (pendingParentMessages.length >= MAX_PENDING_PARENT_MESSAGES) {
+    pendingParentMessages.shift();
+  }
+  pendingParentMessages.push(message);
+}
+
+// Verify an inbound message and complete the handshake on first contact
+function verifyParentMessage(event) {
+  if (event.source !== window.parent || window.parent === window) return false;
+  if (parentOrigin) return event.origin === parentOrigin;
+  if (!isOriginAllowed(event.origin)) return false;
+
+  // Queued events must already use the envelope when the first message is v1
+  if (isProtocolMessage(event.data)) {
+    parentProtocol = Math.min(event.data.snapie, PROTOCOL_VERSION);
+  }
+
+  setParentOrigin(event.origin);
+  debugLog('Parent origin verified by handshake:', event.origin);
+  return true;
+}
+
+// ============================================================================
+// PARENT COMMANDS
+// Each command receives its params and may return a result (or a Promise).
+// Throw createCommandError() to reject a request.
+// ============================================================================
+
+const COMMAND_ALIASES = {
+  '3speak-handshake': 'handshake',
+  'hello': 'handshake',
+  'playVideo': 'play',
+  'pauseVideo': 'pause',
+  'toggle-play': 'togglePlay',
+  'toggle-fullscreen': 'toggleFullscreen',
+  'enter-fullscreen': 'enterFullscreen',
+  'exit-fullscreen': 'exitFullscreen',
+  'fullscreen-entered': 'fullscreenEntered',
+  'fullscreen-exited': 'fullscreenExited',
+  'set-volume': 'setVolume',
+  'volume-up': 'volumeUp',
+  'volume-down': 'volumeDown',
+  'get-state': 'getState',
+  'enter-pip': 'enterPiP',
+  'exit-pip': 'exitPiP',
+  'toggle-pip': 'togglePiP'
+};
+
+// Replies sent to legacy parents for commands that return something
+const LEGACY_REPLIES = {
+  handshake: '3speak-handshake-ack',
+  getState: '3speak-state'
+};
+
+function createCommandError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function requirePictureInPicture() {
+  if (!document.pictureInPictureEnabled || player.disablePictureInPicture()) {
+    throw createCommandError('not_supported', 'Picture-in-Picture is not available');
+  }
+}
+
+function requireNumber(params, name) {
+  const value = params[name];
+  if (typeof value !== 'number' || !isFinite(value)) {
+    throw createCommandError('invalid_params', `"${name}" must be a number`);
+  }
+  return value;
+}
+
+function getPlayerState() {
+  return {
+    currentTime: player.currentTime(),
+    duration: player.duration(),
+    paused: player.paused(),
+    muted: player.muted(),
+    volume: player.volume(),
+    ended: player.ended(),
+    audioOnly: isAudioOnly,
+    pictureInPicture: player.isInPictureInPicture()
+  };
+}
+
+const parentCommands = {
+  handshake: function() {
+    return {
+      version: PROTOCOL_VERSION,
+      commands: Object.keys(parentCommands),
+      events: PARENT_EVENTS
+    };
+  },
+  play: function() {
+    // Try with sound first (works when the parent passed on a user gesture),
+    // fall back to muted autoplay
+    debugLog('User activation status:', navigator.userActivation && navigator.userActivation.isActive);
+    player.muted(false);
+    return player.play().catch(function(error) {
+      debugLog('Play with sound blocked, trying muted:', error.message);
+      player.muted(true);
+      return player.play().then(function() {
+        showMutedAutoplayInfo();
+      });
+    });
+  },
+  pause: function() {
+    pauseByUser();
+  },
+  togglePlay: function() {
+    if (player.paused()) {
+      return player.play();
+    }
+    pauseByUser();
+  },
+  mute: function() {
+    player.muted(true);
+  },
+  unmute: function() {
+    player.muted(false);
+  },
+  toggleMute: function() {
+    player.muted(!player.muted());
+  },
+  seek: function(params) {
+    player.currentTime(requireNumber(params, 'time'));
+  },
+  seekForward: function(params) {
+    player.currentTime(player.currentTime() + (params.seconds || 10));
+  },
+  seekBackward: function(params) {
+    player.currentTime(player.currentTime() - (params.seconds || 10));
+  },
+  toggleFullscreen: function() {
+    if (player.isFullscreen()) {
+      return player.exitFullscreen();
+    }
+    return player.requestFullscreen();
+  },
+  enterFullscreen: function() {
+    if (!player.isFullscreen()) {
+      return player.requestFullscreen();
+    }
+  },
+  exitFullscreen: function() {
+    if (player.isFullscreen()) {
+      return player.exitFullscreen();
+    }
+  },
+  fullscreenEntered: function() {
+    // Parent entered CSS fullscreen, make player fill the container
+    debugLog('Parent CSS fullscreen entered, enabling fill mode');
+    player.fill(true);
+    player.fluid(false);
+    // Force dimensions
+    player.width('100%');
+    player.height('100%');
+    // Add class for CSS override
+    document.body.classList.add('tv-fullscreen-mode');
+  },
+  fullscreenExited: function() {
+    // Parent exited CSS fullscreen, restore normal mode
+    debugLog('Parent CSS fullscreen exited, restoring layout');
+    // Remove class first
+    document.body.classList.remove('tv-fullscreen-mode');
+    // Reset inline styles on player-wrapper
+    const playerWrapper = document.querySelector('.player-wrapper');
+    if (playerWrapper) {
+      playerWrapper.style.width = '';
+      playerWrapper.style.height = '';
+      playerWrapper.style.paddingBottom = '';
+      playerWrapper.style.maxHeight = '';
+    }
+    // Reset inline styles on player element
+    const playerEl = player.el();
+    if (playerEl) {
+      playerEl.style.position = '';
+      playerEl.style.top = '';
+      playerEl.style.left = '';
+      playerEl.style.width = '';
+      playerEl.style.height = '';
+    }
+    // Reset inline styles on video tech element
+    const techEl = player.tech({ IWillNotUseThisInPlugins: true });
+    if (techEl && techEl.el()) {
+      techEl.el().style.width = '';
+      techEl.el().style.height = '';
+      techEl.el().style.position = '';
+      techEl.el().style.top = '';
+      techEl.el().style.left = '';
+      techEl.el().style.transform = '';
+    }
+    // Check if we're in a fixed layout mode
+    const isFixedLayoutOnExit = document.body.classList.contains('layout-mobile') ||
+                                document.body.classList.contains('layout-square') ||
+                                document.body.classList.contains('layout-desktop');
+    // Restore player modes
+    player.fill(false);
+    // Only enable fluid mode if NOT in a fixed layout
+    // Fixed layouts use CSS padding-bottom for aspect ratio - fluid mode calculates wrong dimensions
+    if (!isFixedLayoutOnExit) {
+      player.fluid(true);
+      debugLog('Fluid mode restored (no fixed layout)');
+    } else {
+      debugLog('Skipping fluid mode (fixed layout handles aspect ratio via CSS)');
+    }
+    // Force player to recalculate dimensions
+    player.width('');
+    player.height('');
+    // Trigger resize to recalculate layout
+    setTimeout(function() {
+      player.trigger('resize');
+      player.trigger('playerresize');
+      window.dispatchEvent(new Event('resize'));
+      debugLog('Triggered resize events');
+    }, 100);
+  },
+  enterPiP: function() {
+    requirePictureInPicture();
+    if (!player.isInPictureInPicture()) {
+      return player.requestPictureInPicture();
+    }
+  },
+  exitPiP: function() {
+    if (player.isInPictureInPicture()) {
+      return player.exitPictureInPicture();
+    }
+  },
+  togglePiP: function() {
+    if (player.isInPictureInPicture()) {
+      return player.exitPictureInPicture();
+    }
+    requirePictureInPicture();
+    return player.requestPictureInPicture();
+  },
+  setVolume: function(params) {
+    // Clamp volume between 0 and 1
+    const vol = Math.max(0, Math.min(1, requireNumber(params, 'volume')));
+    player.volume(vol);
+    // Unmute if setting volume > 0
+    if (vol > 0 && player.muted()) {
+      player.muted(false);
+    }
+  },
+  volumeUp: function(params) {
+    player.volume(Math.min(1, player.volume() + (params.step || 0.1)));
+    if (player.muted()) {
+      player.muted(false);
+    }
+  },
+  volumeDown: function(params) {
+    player.volume(Math.max(0, player.volume() - (params.step || 0.1)));
+  },
+  next: function() {
+    playNext();
+  },
+  previous: function() {
+    playPrevious();
+  },
+  playIndex: function(params) {
+    playIndex(requireNumber(params, 'index'));
+  },
+  getState: function() {
+    return getPlayerState();
+  }
+};
+
+// Run a command by name or alias; always resolves to the command's result
+function runParentCommand(name, params) {
+  const command = COMMAND_ALIASES[name] || name;
+  if (!Object.prototype.hasOwnProperty.call(parentCommands, command)) {
+    return Promise.reject(createCommandError('unknown_method', `Unknown method: ${name}`));
+  }
+  if (!player && command !== 'handshake') {
+    return Promise.reject(createCommandError('not_ready', 'Player is not ready'));
+  }
+  return new Promise(function(resolve) {
+    resolve(parentCommands[command](params || {}));
+  });
+}
+
+// Handle a versioned { snapie, id, method, params } request
+function handleProtocolRequest(data) {
+  parentProtocol = Math.min(data.snapie, PROTOCOL_VERSION);
+
+  const reply = function(body) {
+    if (data.id === undefined) return;
+    window.parent.postMessage(Object.assign({ snapie: parentProtocol, id: data.id }, body), parentOrigin);
+  };
+
+  if (data.snapie > PROTOCOL_VERSION && data.method !== 'handshake') {
+    reply({ error: { code: 'unsupported_version', message: `Player speaks protocol v${PROTOCOL_VERSION}` } });
+    return;
+  }
+
+  runParentCommand(data.method, data.params).then(function(result) {
+    reply({ result: result === undefined ? null : result });
+  }, function(error) {
+    debugLog('Parent command failed:', data.method, error);
+    reply({ error: { code: error.code || 'command_failed', message: error.message } });
+  });
+}
+
+function handleParentMessage(event) {
+  if (!verifyParentMessage(event)) {
+    debugLog('Ignoring postMessage from unverified origin:', event.origin);
+    return;
+  }
+
+  const data = event.data;
+  if (!data || typeof data !== 'object') {
+    return;
+  }
+
+  if (isProtocolMessage(data)) {
+    handleProtocolRequest(data);
+    return;
+  }
+
+  // Legacy messages: { type | action | command: name, ...params }
+  const command = data.type || data.action || data.command;
+  debugLog('Received postMessage command:', command, data);
+
+  runParentCommand(command, data).then(function(result) {
+    const replyType = LEGACY_REPLIES[COMMAND_ALIASES[command] || command];
+    if (replyType) {
+      postToParent(Object.assign({ type: replyType }, result));
+    }
+  }, function(error) {
+    debugLog('Ignoring postMessage command:', command, error.message);
+  });
+}
+
+// Next full-manifest URL to try when VHS failover is unavailable (native HLS)
+// or the whole source has to be reloaded
+function getNextFallbackUrl() {
+  if (!currentVideoData) return null;
+  const current = player.currentSrc();
+  const urls = [
+    currentVideoData.videoUrl,
+    currentVideoData.videoUrlFallback1,
+    currentVideoData.videoUrlFallback2,
+    currentVideoData.videoUrlFallback3
+  ].filter(Boolean);
+  const triedUrls = player.triedFallbackUrls || [];
+  return urls.find(url => url !== current && !triedUrls.includes(url)) || null;
+}
+
+// Reload the source from the next gateway, resuming at the current position
+function switchToFallbackSource(reason) {
+  const fallbackUrl = getNextFallbackUrl();
+  if (!fallbackUrl) return false;
+
+  const resumeTime = player.currentTime();
+  markGatewayFailed(getGatewayBase(player.currentSrc()), reason);
+  player.triedFallbackUrls = (player.triedFallbackUrls || []).concat(player.currentSrc(), fallbackUrl);
+  debugLog('Switching source to fallback gateway', { fallbackUrl, resumeTime, reason });
+
+  player.src({
+    src: fallbackUrl,
+    type: 'application/x-mpegURL'
+  });
+  player.one('loadedmetadata', function() {
+    if (resumeTime > 0) {
+      player.currentTime(resumeTime);
+    }
+    player.play();
+  });
+  return true;
+}
+
 function initializePlayer() {
   const isFixedLayout = document.body.classList.contains('layout-mobile') ||
                         document.body.classList.contains('layout-square') ||
@@ -107,6 +755,18 @@ function initializePlayer() {
     displayCurrentQuality: true,
   });
 
+  // Thumbnail and chapter previews above the progress bar
+  initSeekPreview();
+
+  // Audio-only toggle in the control bar (applies audioonly=)
+  initAudioOnly();
+
+  // Docked mini-player while scrolling the watch page
+  initMiniPlayer();
+
+  // Lock screen / OS media controls
+  initMediaSession();
+
   // Setup logo fade behavior
   const logoTopLeft = document.getElementById('logo-top-left');
   const logoBottomRight = document.getElementById('logo-bottom-right');
@@ -194,6 +854,11 @@ function initializePlayer() {
       debugLog('Could not set mid-quality startup:', error);
     }
 
+    // Audio-only keeps its single rendition instead of the mid-quality start
+    if (isAudioOnly) {
+      applyAudioOnlyRendition();
+    }
+
     // Autoplay: try with sound first, fall back to muted
     // Skip autoplay entirely on Chrome (unreliable autoplay policy)
     if (shouldAutoplay) {
@@ -265,11 +930,29 @@ function initializePlayer() {
     if (replayBtn) {
       replayBtn.style.display = 'none';
     }
-    
-    // Increment view count on first play
-    if (currentVideoData && !player.hasIncrementedView) {
-      incrementViewCount(currentVideoData);
+    hideUpNext();
+
+    if (currentVideoData) {
+      requestViewToken(currentVideoData);
+    }
+  });
+
+  // Count a view once the viewer has actually watched the minimum amount.
+  // Only small forward steps count, so seeking does not add watch time.
+  player.on('timeupdate', function() {
+    const currentTime = player.currentTime();
+    const delta = currentTime - (player.lastWatchTime || 0);
+    player.lastWatchTime = currentTime;
+
+    if (player.paused() || delta <= 0 || delta > 1.5) return;
+    player.watchedSeconds += delta;
+    trackRenditionTime(delta);
+    trackWatchProgress(currentTime - delta, currentTime);
+
+    const minViewSeconds = currentVideoData?.minViewSeconds || 10;
+    if (currentVideoData && !player.hasIncrementedView && player.watchedSeconds >= minViewSeconds) {
       player.hasIncrementedView = true;
+      incrementViewCount(currentVideoData, player.watchedSeconds);
     }
   });
   
@@ -286,6 +969,11 @@ function initializePlayer() {
         tech.vhs.selectPlaylist = function() {
           const playlist = originalSelectPlaylist();
           const vhs = tech.vhs;
+
+          // Audio-only pins one rendition, never upgrade
+          if (isAudioOnly) {
+            return playlist;
+          }
           
           if (vhs && vhs.playlists && vhs.playlists.master) {
             const levels = vhs.playlists.master.playlists;
@@ -322,12 +1010,80 @@ function initializePlayer() {
     debugLog('Video paused');
     updatePlayerState('Paused');
     handleLogoVisibility();
+    saveWatchPosition();
+  });
+
+  // Watch-time analytics heartbeat, throttled like the parent timeupdate messages
+  let lastHeartbeat = Date.now();
+  player.on('timeupdate', function() {
+    const now = Date.now();
+    if (now - lastHeartbeat < ANALYTICS_HEARTBEAT_INTERVAL) return; // Throttle
+    lastHeartbeat = now;
+    sendAnalyticsHeartbeat();
+  });
+
+  player.on('pause', function() {
+    sendAnalyticsHeartbeat();
+  });
+
+  player.on('ended', function() {
+    sendAnalyticsHeartbeat();
+  });
+
+  window.addEventListener('pagehide', function() {
+    sendAnalyticsHeartbeat(true);
+    sendTelemetryReport(true);
+  });
+
+  // Playback quality telemetry: startup time and rebuffering
+  player.on('play', function() {
+    if (telemetry && telemetry.playRequestedAt === null) {
+      telemetry.playRequestedAt = Date.now();
+    }
+  });
+
+  player.on('playing', function() {
+    if (!telemetry) return;
+    if (telemetry.startupTime === null && telemetry.playRequestedAt !== null) {
+      telemetry.startupTime = Date.now() - telemetry.playRequestedAt;
+      debugLog('Startup time', telemetry.startupTime, 'ms');
+    }
+    if (telemetry.rebufferStartedAt !== null) {
+      telemetry.rebufferDuration += Date.now() - telemetry.rebufferStartedAt;
+      telemetry.rebufferStartedAt = null;
+    }
+  });
+
+  player.on('waiting', function() {
+    // Only count stalls during playback, not the initial load or seeks
+    if (telemetry && telemetry.startupTime !== null && !player.seeking() && telemetry.rebufferStartedAt === null) {
+      telemetry.rebufferCount++;
+      telemetry.rebufferStartedAt = Date.now();
+    }
+  });
+
+  player.on('ended', function() {
+    sendTelemetryReport();
+  });
+
+  // Remember watch position for "Resume from" prompts
+  let lastPositionSave = 0;
+  player.on('timeupdate', function() {
+    const now = Date.now();
+    if (now - lastPositionSave < 5000) return; // Throttle
+    lastPositionSave = now;
+    saveWatchPosition();
   });
 
   player.on('ended', function() {
     debugLog('Video ended');
     updatePlayerState('Ended');
-    showReplayButton();
+    clearWatchPosition(currentVideoData);
+    if (playlist && playlist.index < playlist.items.length - 1) {
+      showUpNext();
+    } else {
+      showReplayButton();
+    }
   });
   
   // Handle user activity changes
@@ -396,24 +1152,12 @@ function initializePlayer() {
           tech.vhs.bandwidth = Math.max(tech.vhs.bandwidth * 2, 5000000);
         }
 
-        // After 3 stalls, try fallback gateway if available
-        if (player.stallCount >= 3 && currentVideoData && currentVideoData.videoUrlFallback && !player.triedFallback) {
-          console.warn('Too many stalls - switching to fallback gateway');
-          player.triedFallback = true;
+        // After 3 stalls, move new segment requests to the next gateway (no source reload)
+        const stallingGateway = getCurrentGateway();
+        if (player.stallCount >= 3 && stallingGateway && gatewayChain.length > 1) {
+          console.warn('Too many stalls - moving requests to next gateway');
           player.stallCount = 0;
-
-          player.src({
-            src: currentVideoData.videoUrlFallback,
-            type: 'application/x-mpegURL'
-          });
-
-          // Resume from current position
-          const currentTime = player.currentTime();
-          player.one('loadedmetadata', function() {
-            player.currentTime(currentTime);
-            player.play();
-          });
-
+          markGatewayFailed(stallingGateway, 'stalling');
           updatePlayerState('Switched to backup gateway');
         }
       }
@@ -460,42 +1204,54 @@ function initializePlayer() {
     if (now - lastTimeUpdate < 250) return; // Throttle
     lastTimeUpdate = now;
 
-    window.parent.postMessage({
+    postToParent({
       type: '3speak-timeupdate',
       currentTime: player.currentTime(),
       duration: player.duration(),
       paused: player.paused(),
       muted: player.muted(),
       volume: player.volume()
-    }, '*');
+    });
   });
 
   // Send duration when it becomes available
   player.on('durationchange', function() {
     if (window.parent === window) return;
 
-    window.parent.postMessage({
+    postToParent({
       type: '3speak-durationchange',
       duration: player.duration()
-    }, '*');
+    });
   });
 
   // Send play/pause state changes to parent window
   player.on('play', function() {
     if (window.parent !== window) {
-      window.parent.postMessage({ type: '3speak-play' }, '*');
+      postToParent({ type: '3speak-play' });
     }
   });
 
   player.on('pause', function() {
     if (window.parent !== window) {
-      window.parent.postMessage({ type: '3speak-pause' }, '*');
+      postToParent({ type: '3speak-pause' });
     }
   });
 
   player.on('ended', function() {
     if (window.parent !== window) {
-      window.parent.postMessage({ type: '3speak-ended' }, '*');
+      postToParent({ type: '3speak-ended' });
+    }
+  });
+
+  player.on('enterpictureinpicture', function() {
+    if (window.parent !== window) {
+      postToParent({ type: '3speak-pip-change', active: true });
+    }
+  });
+
+  player.on('leavepictureinpicture', function() {
+    if (window.parent !== window) {
+      postToParent({ type: '3speak-pip-change', active: false });
     }
   });
 
@@ -519,6 +1275,11 @@ function initializePlayer() {
       };
       
       console.error('🔴 DETAILED ERROR INFO:', errorInfo);
+
+      if (telemetry) {
+        telemetry.errors.push({ code: errorInfo.type, message: errorInfo.message });
+        sendTelemetryReport();
+      }
       
       // Try to get tech-specific error details
       try {
@@ -545,14 +1306,8 @@ function initializePlayer() {
       console.error('Possible causes: 1) Codec incompatibility (HEVC) 2) Corrupted segments 3) CORS issues 4) Network problems');
       
       // First, try fallback gateway - might be corrupted segments on this gateway
-      if (currentVideoData && currentVideoData.videoUrlFallback && !player.triedFallback) {
+      if (switchToFallbackSource('decode error')) {
         console.log('⚠️ Trying fallback gateway (might fix corrupted segments)...');
-        player.triedFallback = true;
-        player.src({
-          src: currentVideoData.videoUrlFallback,
-          type: 'application/x-mpegURL'
-        });
-        player.load();
         updatePlayerState('Retrying with different gateway...');
         return;
       }
@@ -565,14 +1320,8 @@ function initializePlayer() {
     }
     
     // If error is CORS/network related and we have a fallback, try it
-    if (currentVideoData && currentVideoData.videoUrlFallback && !player.triedFallback) {
+    if (switchToFallbackSource('player error')) {
       debugLog('Trying fallback gateway...');
-      player.triedFallback = true;
-      player.src({
-        src: currentVideoData.videoUrlFallback,
-        type: 'application/x-mpegURL'
-      });
-      player.load();
       updatePlayerState('Retrying with fallback gateway...');
     } else {
       updatePlayerState('Error');
@@ -580,225 +1329,7 @@ function initializePlayer() {
   });
 
   // Listen for postMessage commands from parent window (for TV/iframe control)
-  window.addEventListener('message', function(event) {
-    // Always log ALL incoming messages for debugging
-    console.log('[3Speak Player] Received postMessage from:', event.origin, 'data:', event.data);
-
-    if (!player) {
-      console.log('[3Speak Player] Player not ready, ignoring message');
-      return;
-    }
-
-    const data = event.data;
-    if (!data) {
-      console.log('[3Speak Player] No data in message, ignoring');
-      return;
-    }
-
-    // Handle different message formats that parent might send
-    const command = data.type || data.action || data.command;
-
-    debugLog('Received postMessage command:', command, data);
-
-    switch (command) {
-      case 'play':
-      case 'playVideo':
-        // Check if we have user activation (user gesture context)
-        var hasUserActivation = navigator.userActivation && navigator.userActivation.isActive;
-        debugLog('User activation status:', hasUserActivation);
-
-        if (hasUserActivation) {
-          // We have user gesture - try unmuted play
-          player.muted(false);
-          player.play().catch(function(error) {
-            debugLog('Play with sound failed despite user activation:', error.message);
-            // Fall back to muted
-            player.muted(true);
-            player.play().then(function() {
-              showMutedAutoplayInfo();
-            });
-          });
-        } else {
-          // No user gesture - try unmuted first, fall back to muted
-          player.muted(false);
-          player.play().catch(function(error) {
-            debugLog('Play with sound blocked, trying muted:', error.message);
-            player.muted(true);
-            player.play().then(function() {
-              showMutedAutoplayInfo();
-            }).catch(function(err) {
-              debugLog('Muted play also failed:', err.message);
-            });
-          });
-        }
-        break;
-      case 'pause':
-      case 'pauseVideo':
-        player.pause();
-        break;
-      case 'toggle-play':
-      case 'togglePlay':
-        if (player.paused()) {
-          player.play();
-        } else {
-          player.pause();
-        }
-        break;
-      case 'mute':
-        player.muted(true);
-        break;
-      case 'unmute':
-        player.muted(false);
-        break;
-      case 'toggleMute':
-        player.muted(!player.muted());
-        break;
-      case 'seek':
-        if (typeof data.time === 'number') {
-          player.currentTime(data.time);
-        }
-        break;
-      case 'seekForward':
-        player.currentTime(player.currentTime() + (data.seconds || 10));
-        break;
-      case 'seekBackward':
-        player.currentTime(player.currentTime() - (data.seconds || 10));
-        break;
-      case 'toggleFullscreen':
-      case 'toggle-fullscreen':
-        if (player.isFullscreen()) {
-          player.exitFullscreen();
-        } else {
-          player.requestFullscreen();
-        }
-        break;
-      case 'enterFullscreen':
-      case 'enter-fullscreen':
-        if (!player.isFullscreen()) {
-          player.requestFullscreen();
-        }
-        break;
-      case 'exitFullscreen':
-      case 'exit-fullscreen':
-        if (player.isFullscreen()) {
-          player.exitFullscreen();
-        }
-        break;
-      case 'fullscreen-entered':
-        // Parent entered CSS fullscreen, make player fill the container
-        debugLog('Parent CSS fullscreen entered, enabling fill mode');
-        player.fill(true);
-        player.fluid(false);
-        // Force dimensions
-        player.width('100%');
-        player.height('100%');
-        // Add class for CSS override
-        document.body.classList.add('tv-fullscreen-mode');
-        break;
-      case 'fullscreen-exited':
-        // Parent exited CSS fullscreen, restore normal mode
-        debugLog('Parent CSS fullscreen exited, restoring layout');
-        // Remove class first
-        document.body.classList.remove('tv-fullscreen-mode');
-        // Reset inline styles on player-wrapper
-        var playerWrapper = document.querySelector('.player-wrapper');
-        if (playerWrapper) {
-          playerWrapper.style.width = '';
-          playerWrapper.style.height = '';
-          playerWrapper.style.paddingBottom = '';
-          playerWrapper.style.maxHeight = '';
-        }
-        // Reset inline styles on player element
-        var playerEl = player.el();
-        if (playerEl) {
-          playerEl.style.position = '';
-          playerEl.style.top = '';
-          playerEl.style.left = '';
-          playerEl.style.width = '';
-          playerEl.style.height = '';
-        }
-        // Reset inline styles on video tech element
-        var techEl = player.tech({ IWillNotUseThisInPlugins: true });
-        if (techEl && techEl.el()) {
-          techEl.el().style.width = '';
-          techEl.el().style.height = '';
-          techEl.el().style.position = '';
-          techEl.el().style.top = '';
-          techEl.el().style.left = '';
-          techEl.el().style.transform = '';
-        }
-        // Check if we're in a fixed layout mode
-        var isFixedLayoutOnExit = document.body.classList.contains('layout-mobile') ||
-                                   document.body.classList.contains('layout-square') ||
-                                   document.body.classList.contains('layout-desktop');
-        // Restore player modes
-        player.fill(false);
-        // Only enable fluid mode if NOT in a fixed layout
-        // Fixed layouts use CSS padding-bottom for aspect ratio - fluid mode calculates wrong dimensions
-        if (!isFixedLayoutOnExit) {
-          player.fluid(true);
-          debugLog('Fluid mode restored (no fixed layout)');
-        } else {
-          debugLog('Skipping fluid mode (fixed layout handles aspect ratio via CSS)');
-        }
-        // Force player to recalculate dimensions
-        player.width('');
-        player.height('');
-        // Trigger resize to recalculate layout
-        setTimeout(function() {
-          player.trigger('resize');
-          player.trigger('playerresize');
-          window.dispatchEvent(new Event('resize'));
-          debugLog('Triggered resize events');
-        }, 100);
-        break;
-      case 'setVolume':
-      case 'set-volume':
-        if (typeof data.volume === 'number') {
-          // Clamp volume between 0 and 1
-          var vol = Math.max(0, Math.min(1, data.volume));
-          player.volume(vol);
-          // Unmute if setting volume > 0
-          if (vol > 0 && player.muted()) {
-            player.muted(false);
-          }
-        }
-        break;
-      case 'volumeUp':
-      case 'volume-up':
-        var currentVol = player.volume();
-        var stepUp = data.step || 0.1;
-        player.volume(Math.min(1, currentVol + stepUp));
-        if (player.muted()) {
-          player.muted(false);
-        }
-        break;
-      case 'volumeDown':
-      case 'volume-down':
-        var currentVolDown = player.volume();
-        var stepDown = data.step || 0.1;
-        player.volume(Math.max(0, currentVolDown - stepDown));
-        break;
-      case 'getState':
-      case 'get-state':
-        // Return current player state to parent
-        if (window.parent !== window) {
-          window.parent.postMessage({
-            type: '3speak-state',
-            currentTime: player.currentTime(),
-            duration: player.duration(),
-            paused: player.paused(),
-            muted: player.muted(),
-            volume: player.volume(),
-            ended: player.ended()
-          }, '*');
-        }
-        break;
-      default:
-        // Unknown command, ignore
-        break;
-    }
-  });
+  window.addEventListener('message', handleParentMessage);
 
   return player;
 }
@@ -815,7 +1346,12 @@ function getUrlParams() {
     noscroll: params.get('noscroll'), // '1' or 'true' to disable scrollbars
     autoplay: params.get('autoplay'), // '1' or 'true' to autoplay (muted)
     controls: params.get('controls'), // '0' or 'false' to hide controls
-    tvmode: params.get('tvmode') // '1' or 'true' for TV mode (Enter key toggles fullscreen)
+    tvmode: params.get('tvmode'), // '1' or 'true' for TV mode (remote / D-pad navigation)
+    cc: params.get('cc'), // Subtitle language to turn on by default, e.g. 'en'
+    list: params.get('list'), // Comma-separated owner/permlink playlist
+    resume: params.get('resume'), // '0' or 'false' to disable resume prompts
+    audioonly: params.get('audioonly'), // '1' or 'true' to start in audio-only mode
+    origin: params.get('origin') // Only accept commands from (and send events to) this origin
   };
 }
 
@@ -844,9 +1380,223 @@ async function fetchVideoData(videoParam, type) {
   }
 }
 
-// Increment view count
-async function incrementViewCount(videoData) {
-  try {
+// ============================================================================
+// WATCH-TIME ANALYTICS
+// ============================================================================
+
+function resetAnalytics() {
+  analytics = {
+    started: false,               // First heartbeat of this load counts a session
+    pendingWatchTime: 0,          // Seconds watched since the last heartbeat
+    pendingSeconds: new Set(),    // Whole seconds watched since the last heartbeat
+    watchedSeconds: new Set(),    // Whole seconds watched during this load
+    pendingQuartiles: [],
+    reportedQuartiles: new Set()
+  };
+}
+
+// Record playback between two positions (called for small forward steps only)
+function trackWatchProgress(fromTime, toTime) {
+  if (!analytics || !currentVideoData || currentVideoData.isPlaceholder) return;
+
+  analytics.pendingWatchTime += toTime - fromTime;
+
+  for (let second = Math.floor(fromTime); second <= Math.floor(toTime); second++) {
+    if (!analytics.watchedSeconds.has(second)) {
+      analytics.watchedSeconds.add(second);
+      analytics.pendingSeconds.add(second);
+    }
+  }
+
+  const duration = player.duration();
+  if (duration > 0) {
+    const progress = toTime / duration;
+    [25, 50, 75, 100].forEach(function(quartile) {
+      const reached = quartile === 100 ? progress >= 0.99 : progress >= quartile / 100;
+      if (reached && !analytics.reportedQuartiles.has(quartile)) {
+        analytics.reportedQuartiles.add(quartile);
+        analytics.pendingQuartiles.push(quartile);
+      }
+    });
+  }
+}
+
+// Send watch progress collected since the last heartbeat
+function sendAnalyticsHeartbeat(useBeacon = false) {
+  if (!analytics || !currentVideoData || currentVideoData.isPlaceholder) return;
+  if (analytics.pendingWatchTime <= 0 && analytics.pendingQuartiles.length === 0) return;
+
+  const body = JSON.stringify({
+    owner: currentVideoData.owner,
+    permlink: currentVideoData.permlink,
+    type: currentVideoData.type,
+    viewToken: currentVideoData.viewToken,
+    started: !analytics.started,
+    watchedSeconds: Math.round(analytics.pendingWatchTime * 10) / 10,
+    seconds: [...analytics.pendingSeconds],
+    quartiles: analytics.pendingQuartiles
+  });
+
+  analytics.started = true;
+  analytics.pendingWatchTime = 0;
+  analytics.pendingSeconds = new Set();
+  analytics.pendingQuartiles = [];
+
+  if (useBeacon && navigator.sendBeacon) {
+    navigator.sendBeacon('/api/analytics/heartbeat', new Blob([body], { type: 'application/json' }));
+    return;
+  }
+
+  fetch('/api/analytics/heartbeat', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: body,
+    keepalive: true
+  }).catch(function(error) {
+    debugLog('Analytics heartbeat failed:', error.message);
+  });
+}
+
+// ============================================================================
+// PLAYBACK TELEMETRY
+// ============================================================================
+
+function resetTelemetry() {
+  telemetry = {
+    playRequestedAt: null,
+    startupTime: null,       // ms from first play request to first frame
+    rebufferCount: 0,
+    rebufferDuration: 0,     // ms spent rebuffering after startup
+    rebufferStartedAt: null,
+    playTime: 0,             // seconds of actual playback
+    renditions: {},          // { '720p': seconds played }
+    errors: []
+  };
+}
+
+// Attribute played time to the rendition currently decoded
+function trackRenditionTime(delta) {
+  if (!telemetry) return;
+  telemetry.playTime += delta;
+  const height = player.videoHeight();
+  if (height) {
+    const rendition = `${height}p`;
+    telemetry.renditions[rendition] = (telemetry.renditions[rendition] || 0) + delta;
+  }
+}
+
+// Send the playback quality report of the loaded video, then start a new one
+function sendTelemetryReport(useBeacon = false) {
+  if (!telemetry || !currentVideoData) return;
+  if (telemetry.playRequestedAt === null && telemetry.errors.length === 0) return;
+
+  if (telemetry.rebufferStartedAt !== null) {
+    telemetry.rebufferDuration += Date.now() - telemetry.rebufferStartedAt;
+  }
+
+  let bandwidth = null;
+  try {
+    const tech = player.tech({ IWillNotUseThisInPlugins: true });
+    bandwidth = tech && tech.vhs ? Math.round(tech.vhs.systemBandwidth || tech.vhs.bandwidth) : null;
+  } catch (e) {
+    // VHS not available (native HLS)
+  }
+
+  const renditions = {};
+  Object.keys(telemetry.renditions).forEach(function(rendition) {
+    renditions[rendition] = Math.round(telemetry.renditions[rendition]);
+  });
+
+  const body = JSON.stringify({
+    owner: currentVideoData.owner,
+    permlink: currentVideoData.permlink,
+    type: currentVideoData.type,
+    viewToken: currentVideoData.viewToken,
+    gateway: getCurrentGateway() || getGatewayBase(player.currentSrc()),
+    startupTime: telemetry.startupTime,
+    rebufferCount: telemetry.rebufferCount,
+    rebufferDuration: telemetry.rebufferDuration,
+    playTime: Math.round(telemetry.playTime),
+    bandwidth: bandwidth,
+    renditions: renditions,
+    errors: telemetry.errors
+  });
+
+  debugLog('Telemetry report', JSON.parse(body));
+  resetTelemetry();
+
+  if (useBeacon && navigator.sendBeacon) {
+    navigator.sendBeacon('/api/telemetry', new Blob([body], { type: 'application/json' }));
+    return;
+  }
+
+  fetch('/api/telemetry', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: body,
+    keepalive: true
+  }).catch(function(error) {
+    debugLog('Telemetry report failed:', error.message);
+  });
+}
+
+// Viewer session ID used by the server to count one view per session
+let viewerSessionId = null; // Fallback when sessionStorage is unavailable
+
+function getViewerSessionId() {
+  const key = 'snapie-session-id';
+  try {
+    let sessionId = window.sessionStorage.getItem(key);
+    if (!sessionId) {
+      sessionId = createSessionId();
+      window.sessionStorage.setItem(key, sessionId);
+    }
+    return sessionId;
+  } catch (e) {
+    // sessionStorage unavailable - one ID per page load
+    viewerSessionId = viewerSessionId || createSessionId();
+    return viewerSessionId;
+  }
+}
+
+function createSessionId() {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Fetch the signed token that view, analytics and telemetry reports are checked against.
+// It is requested on first play (not cached with the video metadata, nor fetched for
+// videos that are only loaded) so its age matches playback time. Placeholders never count.
+async function requestViewToken(videoData) {
+  if (videoData.isPlaceholder || videoData.viewToken || videoData.viewTokenPending) return;
+  videoData.viewTokenPending = true;
+
+  try {
+    const video = `${encodeURIComponent(videoData.owner)}/${encodeURIComponent(videoData.permlink)}`;
+    const response = await fetch(`/api/view/token?v=${video}&type=${videoData.type}`, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const result = await response.json();
+    videoData.viewToken = result.viewToken;
+    videoData.minViewSeconds = result.minViewSeconds;
+  } catch (error) {
+    console.error('Error requesting view token:', error);
+  } finally {
+    videoData.viewTokenPending = false;
+  }
+}
+
+// Increment view count
+async function incrementViewCount(videoData, watchedSeconds) {
+  try {
     const response = await fetch('/api/view', {
       method: 'POST',
       headers: {
@@ -855,92 +1605,1637 @@ async function incrementViewCount(videoData) {
       body: JSON.stringify({
         owner: videoData.owner,
         permlink: videoData.permlink,
-        type: videoData.type
+        type: videoData.type,
+        viewToken: videoData.viewToken,
+        sessionId: getViewerSessionId(),
+        watchedSeconds: Math.floor(watchedSeconds)
       })
     });
-    
-    if (response.ok) {
-      debugLog('View count incremented');
-    }
+    
+    if (response.ok) {
+      const result = await response.json();
+      debugLog(result.counted ? 'View count incremented' : 'View not counted', result);
+    }
+  } catch (error) {
+    console.error('Error incrementing view count:', error);
+  }
+}
+
+// Load video into player
+async function loadVideoFromData(videoData) {
+  if (!player) {
+    console.error('Player not initialized');
+    return;
+  }
+
+  // Flush progress of the previous video (playlists)
+  sendAnalyticsHeartbeat();
+  sendTelemetryReport();
+  resetAnalytics();
+  resetTelemetry();
+
+  currentVideoData = videoData;
+  player.hasIncrementedView = false;
+  player.hasPassedResumeMinimum = false;
+  player.watchedSeconds = 0;
+  player.lastWatchTime = 0;
+  player.triedFallbackUrls = [];
+  setGatewayChain(videoData);
+
+  // Set poster/thumbnail if available
+  if (videoData.thumbnail) {
+    debugLog('Setting thumbnail', videoData.thumbnail);
+    player.poster(videoData.thumbnail);
+  } else {
+    debugLog('No thumbnail available for this video');
+  }
+
+  // Set video sources with CDN-first fallback chain
+  const sources = [
+    {
+      src: videoData.videoUrl,
+      type: 'application/x-mpegURL'
+    }
+  ];
+  
+  // Add fallback chain: CDN -> Supernode -> Hotnode -> Audionode
+  if (videoData.videoUrlFallback1 && videoData.videoUrlFallback1 !== videoData.videoUrl) {
+    sources.push({
+      src: videoData.videoUrlFallback1,
+      type: 'application/x-mpegURL'
+    });
+  }
+  
+  if (videoData.videoUrlFallback2 && videoData.videoUrlFallback2 !== videoData.videoUrl) {
+    sources.push({
+      src: videoData.videoUrlFallback2,
+      type: 'application/x-mpegURL'
+    });
+  }
+  
+  if (videoData.videoUrlFallback3 && videoData.videoUrlFallback3 !== videoData.videoUrl) {
+    sources.push({
+      src: videoData.videoUrlFallback3,
+      type: 'application/x-mpegURL'
+    });
+  }
+
+  player.src(sources);
+  player.load();
+  
+  debugLog('Video sources set', sources);
+
+  // Subtitles / closed captions
+  loadSubtitles(videoData.subtitles || []);
+
+  // Seek bar previews and chapters
+  loadStoryboard(videoData.storyboard);
+  loadChapters(videoData.chapters || [], videoData.duration);
+
+  // Still encoding: follow progress and switch to the real video when it's ready
+  watchEncodingProgress(videoData);
+
+  // Scheduled: count down and unlock the real video at its publish date
+  startPremiereCountdown(videoData);
+
+  // Offer to continue where the viewer left off
+  hideResumePrompt();
+  const resumePosition = getWatchPosition(videoData);
+  if (resumePosition) {
+    showResumePrompt(resumePosition);
+  }
+  
+  // Update UI
+  const title = videoData.title || `${videoData.owner}/${videoData.permlink}`;
+  updateCurrentSource(title);
+  updateMediaSession(videoData, title);
+  
+  // Update view count
+  updateViewCount(videoData.views);
+  
+  // Update info panel
+  if (videoData.isPlaceholder) {
+    updatePlayerState(`Placeholder (${videoData.status})`);
+  } else {
+    updatePlayerState('Ready');
+  }
+  
+  debugLog('Loaded video data', videoData);
+}
+
+
+
+
+
+// ============================================================================
+// PLAYLIST
+// ============================================================================
+
+// Load a playlist item and start playing it (unless autoplay is false)
+async function playIndex(index, autoplay = true) {
+  if (!playlist || index < 0 || index >= playlist.items.length) {
+    return;
+  }
+
+  hideUpNext();
+  playlist.index = index;
+  debugLog('Playlist item', index + 1, 'of', playlist.items.length, playlist.items[index]);
+
+  try {
+    const videoData = playlist.prefetched && playlist.prefetched.index === index
+      ? playlist.prefetched.data
+      : await fetchVideoData(playlist.items[index], playlist.type);
+    playlist.prefetched = null;
+
+    await loadVideoFromData(videoData);
+
+    if (autoplay) {
+      player.play().catch(function(error) {
+        debugLog('Playlist play with sound blocked, trying muted:', error.message);
+        player.muted(true);
+        player.play().then(function() {
+          showMutedAutoplayInfo();
+        }).catch(function(err) {
+          debugLog('Muted play also failed:', err.message);
+        });
+      });
+    }
+  } catch (error) {
+    console.error(`Could not load playlist item ${playlist.items[index]}:`, error);
+    updatePlayerState(`Skipped unavailable video (${index + 1}/${playlist.items.length})`);
+    if (index < playlist.items.length - 1) {
+      playIndex(index + 1, autoplay);
+    }
+    return;
+  }
+
+  if (window.parent !== window) {
+    postToParent({
+      type: '3speak-playlist-item',
+      index: index,
+      total: playlist.items.length,
+      video: playlist.items[index]
+    });
+  }
+}
+
+function playNext() {
+  if (playlist) {
+    playIndex(playlist.index + 1);
+  }
+}
+
+function playPrevious() {
+  if (playlist) {
+    playIndex(playlist.index - 1);
+  }
+}
+
+// Show "up next" countdown overlay instead of the replay button
+function showUpNext() {
+  const nextIndex = playlist.index + 1;
+  let upNext = document.querySelector('.vjs-up-next');
+
+  if (!upNext) {
+    upNext = document.createElement('div');
+    upNext.className = 'vjs-up-next';
+    upNext.innerHTML = `
+      <div class="vjs-up-next-thumbnail"></div>
+      <div class="vjs-up-next-info">
+        <span class="vjs-up-next-label">Up next in <span class="vjs-up-next-seconds"></span></span>
+        <span class="vjs-up-next-title"></span>
+        <div class="vjs-up-next-actions">
+          <button type="button" class="vjs-up-next-play">Play now</button>
+          <button type="button" class="vjs-up-next-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    upNext.querySelector('.vjs-up-next-play').addEventListener('click', function() {
+      playNext();
+    });
+    upNext.querySelector('.vjs-up-next-cancel').addEventListener('click', function() {
+      hideUpNext();
+      showReplayButton();
+    });
+
+    player.el().appendChild(upNext);
+  }
+
+  // Prefetch next item so the overlay can show its title and thumbnail
+  upNext.querySelector('.vjs-up-next-title').textContent = playlist.items[nextIndex];
+  upNext.querySelector('.vjs-up-next-thumbnail').style.backgroundImage = '';
+  fetchVideoData(playlist.items[nextIndex], playlist.type).then(function(data) {
+    // Too late if the countdown already moved on to that item
+    if (!playlist || playlist.index + 1 !== nextIndex) return;
+
+    playlist.prefetched = { index: nextIndex, data: data };
+    upNext.querySelector('.vjs-up-next-title').textContent = data.title || playlist.items[nextIndex];
+    if (data.thumbnail) {
+      upNext.querySelector('.vjs-up-next-thumbnail').style.backgroundImage = `url("${encodeURI(data.thumbnail)}")`;
+    }
+  }).catch(function(error) {
+    debugLog('Could not prefetch next playlist item:', error.message);
+  });
+
+  let secondsLeft = UP_NEXT_COUNTDOWN;
+  const secondsEl = upNext.querySelector('.vjs-up-next-seconds');
+  secondsEl.textContent = secondsLeft;
+  upNext.style.display = 'flex';
+
+  clearInterval(playlist.countdownTimer);
+  playlist.countdownTimer = setInterval(function() {
+    secondsLeft--;
+    secondsEl.textContent = secondsLeft;
+    if (secondsLeft <= 0) {
+      playNext();
+    }
+  }, 1000);
+
+  debugLog('Up next countdown shown', playlist.items[nextIndex]);
+}
+
+function hideUpNext() {
+  if (playlist) {
+    clearInterval(playlist.countdownTimer);
+    playlist.countdownTimer = null;
+  }
+  const upNext = document.querySelector('.vjs-up-next');
+  if (upNext) {
+    upNext.style.display = 'none';
+  }
+}
+
+// ============================================================================
+// ENCODING PROGRESS
+// ============================================================================
+
+let encodingProgressSource = null;
+
+const ENCODING_STATUS_LABELS = {
+  uploading: 'Uploading',
+  uploaded: 'Waiting for encoder',
+  processing: 'Encoding',
+  encoding_ipfs: 'Encoding',
+  ipfs_pinning: 'Publishing to IPFS',
+  finalizing: 'Finalizing'
+};
+
+// Follow encoding of an embed video shown with the processing placeholder
+function watchEncodingProgress(videoData) {
+  stopEncodingProgress();
+  hideEncodingProgress();
+
+  if (videoData.type !== 'embed' || videoData.placeholder !== 'processing' || !window.EventSource) return;
+
+  showEncodingProgress(videoData.status, videoData.encodingProgress);
+
+  const video = `${encodeURIComponent(videoData.owner)}/${encodeURIComponent(videoData.permlink)}`;
+  const source = new EventSource(`/api/embed/progress?v=${video}`);
+  encodingProgressSource = source;
+
+  source.addEventListener('progress', function(event) {
+    const state = JSON.parse(event.data);
+    showEncodingProgress(state.status, state.encodingProgress);
+  });
+
+  source.addEventListener('ready', function(event) {
+    const data = JSON.parse(event.data);
+    stopEncodingProgress();
+    hideEncodingProgress();
+
+    // Ignore if the viewer moved on to another video meanwhile
+    if (!currentVideoData || currentVideoData.owner !== data.owner || currentVideoData.permlink !== data.permlink) return;
+
+    debugLog('Encoding finished, switching to the real video', data);
+    const shouldPlay = !player.paused() || shouldAutoplay;
+    loadVideoFromData(data).then(function() {
+      if (shouldPlay) {
+        player.play().catch(function(error) {
+          debugLog('Autoplay after encoding blocked:', error.message);
+        });
+      }
+    });
+  });
+
+  source.addEventListener('failed', function(event) {
+    const state = JSON.parse(event.data);
+    stopEncodingProgress();
+    showEncodingProgress(null, null, state.placeholder === 'deleted' ? 'Video was deleted' : 'Encoding failed');
+    updatePlayerState(`Placeholder (${state.status || 'unavailable'})`);
+  });
+}
+
+function stopEncodingProgress() {
+  if (encodingProgressSource) {
+    encodingProgressSource.close();
+    encodingProgressSource = null;
+  }
+}
+
+// Show "Encoding 42%" with a progress bar (or a final message)
+function showEncodingProgress(status, progress, message) {
+  let overlay = document.querySelector('.vjs-encoding-progress');
+
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'vjs-encoding-progress';
+    overlay.innerHTML = `
+      <div class="vjs-encoding-progress-label"></div>
+      <div class="vjs-encoding-progress-track"><div class="vjs-encoding-progress-bar"></div></div>
+    `;
+    player.el().appendChild(overlay);
+  }
+
+  const percent = Math.max(0, Math.min(100, Math.round(progress || 0)));
+  const label = message || `${ENCODING_STATUS_LABELS[status] || 'Processing'}${percent > 0 ? ` ${percent}%` : '…'}`;
+  overlay.querySelector('.vjs-encoding-progress-label').textContent = label;
+  overlay.querySelector('.vjs-encoding-progress-bar').style.width = `${message ? 0 : percent}%`;
+  overlay.classList.toggle('vjs-encoding-progress-final', !!message);
+  overlay.classList.add('visible');
+
+  postToParent({ type: '3speak-encoding-progress', status: status, progress: percent, message: message || null });
+}
+
+function hideEncodingProgress() {
+  const overlay = document.querySelector('.vjs-encoding-progress');
+  if (overlay) {
+    overlay.classList.remove('visible');
+  }
+}
+
+// ============================================================================
+// PREMIERE COUNTDOWN
+// ============================================================================
+
+const PREMIERE_RETRY_MS = 5000;       // Re-check while the server still reports the video as scheduled
+const PREMIERE_MAX_RETRIES = 12;      // Then give up (video deleted, or the server's clock far behind)
+const PREMIERE_MAX_JITTER_MS = 3000;  // Spread viewers' unlock requests at premiere time
+
+let premiereTimer = null;
+
+// Show "Premieres in ..." for a scheduled video until its publish date
+function startPremiereCountdown(videoData) {
+  stopPremiereCountdown();
+
+  const publishAt = videoData.placeholder === 'scheduled' && videoData.publishAt
+    ? new Date(videoData.publishAt).getTime()
+    : NaN;
+  if (isNaN(publishAt)) {
+    hidePremiereCountdown();
+    return;
+  }
+
+  showPremiereCountdown(publishAt);
+  const unlockAt = publishAt + Math.random() * PREMIERE_MAX_JITTER_MS;
+
+  premiereTimer = setInterval(function() {
+    updatePremiereCountdown(publishAt);
+    if (Date.now() >= unlockAt) {
+      stopPremiereCountdown();
+      unlockPremiere(videoData);
+    }
+  }, 1000);
+}
+
+function stopPremiereCountdown() {
+  if (premiereTimer) {
+    clearInterval(premiereTimer);
+    premiereTimer = null;
+  }
+}
+
+// Fetch the video again; the server only returns the real sources once it has premiered
+function unlockPremiere(videoData, attempt = 0) {
+  function retry() {
+    if (attempt >= PREMIERE_MAX_RETRIES) {
+      debugLog('Premiere unlock: giving up after', attempt + 1, 'attempts');
+      return false;
+    }
+    setTimeout(function() {
+      if (currentVideoData === videoData) unlockPremiere(videoData, attempt + 1);
+    }, PREMIERE_RETRY_MS);
+    return true;
+  }
+
+  fetchVideoData(`${videoData.owner}/${videoData.permlink}`, videoData.type).then(function(data) {
+    // Ignore if the viewer moved on to another video meanwhile
+    if (currentVideoData !== videoData) return;
+
+    if (data.placeholder === 'scheduled') {
+      debugLog('Premiere not unlocked yet, retrying');
+      retry();
+      return;
+    }
+
+    debugLog('Premiere started, switching to the real video', data);
+    hidePremiereCountdown();
+    loadVideoFromData(data).then(function() {
+      player.play().catch(function(error) {
+        debugLog('Autoplay at premiere blocked:', error.message);
+      });
+    });
+  }).catch(function(error) {
+    if (currentVideoData !== videoData) return;
+
+    debugLog('Premiere unlock failed:', error.message);
+    if (!retry()) {
+      hidePremiereCountdown();
+      showError(error.message);
+    }
+  });
+}
+
+function showPremiereCountdown(publishAt) {
+  let overlay = document.querySelector('.vjs-premiere-countdown');
+
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'vjs-premiere-countdown';
+    overlay.innerHTML = `
+      <div class="vjs-premiere-countdown-label">Premieres in</div>
+      <div class="vjs-premiere-countdown-time"></div>
+      <div class="vjs-premiere-countdown-date"></div>
+    `;
+    player.el().appendChild(overlay);
+  }
+
+  overlay.querySelector('.vjs-premiere-countdown-date').textContent = new Date(publishAt).toLocaleString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+  updatePremiereCountdown(publishAt);
+  overlay.classList.add('visible');
+}
+
+function updatePremiereCountdown(publishAt) {
+  const element = document.querySelector('.vjs-premiere-countdown-time');
+  if (!element) return;
+
+  const remaining = Math.max(0, Math.ceil((publishAt - Date.now()) / 1000));
+  if (remaining === 0) {
+    element.textContent = 'Starting…';
+    return;
+  }
+
+  const days = Math.floor(remaining / 86400);
+  const hours = Math.floor((remaining % 86400) / 3600);
+  const minutes = String(Math.floor((remaining % 3600) / 60)).padStart(2, '0');
+  const seconds = String(remaining % 60).padStart(2, '0');
+  element.textContent = `${days > 0 ? `${days}d ` : ''}${hours}:${minutes}:${seconds}`;
+}
+
+function hidePremiereCountdown() {
+  const overlay = document.querySelector('.vjs-premiere-countdown');
+  if (overlay) {
+    overlay.classList.remove('visible');
+  }
+}
+
+// ============================================================================
+// AUDIO-ONLY MODE
+// Shows the thumbnail as artwork (Video.js audio poster mode) and plays an
+// audio-only rendition when the manifest has one, otherwise the lowest video
+// rendition, so listeners don't download video they never see.
+// ============================================================================
+
+let audioOnlyHiddenAt = 0; // When the page was last hidden (background playback)
+let isPausedByUser = false; // Paused from OS media controls, the parent page or a remote, until playing again
+
+const Button = videojs.getComponent('Button');
+
+class AudioOnlyToggle extends Button {
+  constructor(player, options) {
+    super(player, options);
+    this.update();
+  }
+
+  buildCSSClass() {
+    return `vjs-audio-only-toggle ${super.buildCSSClass()}`;
+  }
+
+  handleClick() {
+    setAudioOnly(!isAudioOnly);
+  }
+
+  update() {
+    this.controlText(isAudioOnly ? 'Show video' : 'Audio only');
+    this.el().setAttribute('aria-pressed', String(isAudioOnly));
+    this.toggleClass('vjs-audio-only-active', isAudioOnly);
+  }
+}
+
+if (!videojs.getComponent('AudioOnlyToggle')) {
+  videojs.registerComponent('AudioOnlyToggle', AudioOnlyToggle);
+}
+
+function initAudioOnly() {
+  const controlBar = player.getChild('controlBar');
+  if (controlBar) {
+    const fullscreenToggle = controlBar.getChild('fullscreenToggle');
+    const index = fullscreenToggle ? controlBar.children().indexOf(fullscreenToggle) : controlBar.children().length;
+    controlBar.addChild('AudioOnlyToggle', {}, index);
+  }
+
+  // Pin the rendition as soon as VHS knows the renditions, before segments of a larger one load
+  player.qualityLevels().on('addqualitylevel', function() {
+    if (isAudioOnly) {
+      applyAudioOnlyRendition();
+    }
+  });
+
+  // Mobile browsers pause video when the page goes to the background; keep listening
+  document.addEventListener('visibilitychange', function() {
+    audioOnlyHiddenAt = document.hidden ? Date.now() : 0;
+  });
+  player.on('play', function() {
+    isPausedByUser = false;
+  });
+  player.on('pause', function() {
+    if (!isAudioOnly || !document.hidden || player.ended() || isPausedByUser) return;
+    if (Date.now() - audioOnlyHiddenAt > 1000) return; // Not the pause that comes with going to the background
+
+    debugLog('Audio-only: resuming playback paused by the browser in the background');
+    player.play().catch(function(error) {
+      debugLog('Audio-only: background playback blocked:', error.message);
+    });
+  });
+
+  if (isAudioOnly) {
+    setAudioOnly(true);
+  }
+}
+
+function setAudioOnly(enabled) {
+  isAudioOnly = enabled;
+  applyAudioOnlyRendition();
+
+  // Poster mode hides the tech, which only exists once a source has loaded
+  player.ready(function() {
+    player.audioPosterMode(isAudioOnly);
+  });
+
+  const toggle = player.getChild('controlBar') && player.getChild('controlBar').getChild('AudioOnlyToggle');
+  if (toggle) {
+    toggle.update();
+  }
+
+  debugLog('Audio-only mode', enabled ? 'on' : 'off');
+}
+
+// Enable only the audio (or lowest) rendition; leaving audio-only hands selection back to ABR
+function applyAudioOnlyRendition() {
+  const levels = player.qualityLevels();
+  if (!levels || levels.length === 0) return;
+
+  if (!isAudioOnly) {
+    for (let i = 0; i < levels.length; i++) {
+      levels[i].enabled = true;
+    }
+    return;
+  }
+
+  let target = -1;
+  for (let i = 0; i < levels.length; i++) {
+    if (!levels[i].width && !levels[i].height) {
+      target = i; // Audio-only rendition
+      break;
+    }
+    if (target === -1 || (levels[i].bitrate || 0) < (levels[target].bitrate || 0)) {
+      target = i;
+    }
+  }
+
+  for (let i = 0; i < levels.length; i++) {
+    levels[i].enabled = i === target;
+  }
+  debugLog('Audio-only rendition', { index: target, bitrate: levels[target].bitrate, height: levels[target].height });
+}
+
+// Pause on the viewer's request, so audio-only mode doesn't resume it in the background
+function pauseByUser() {
+  isPausedByUser = true;
+  player.pause();
+}
+
+// ============================================================================
+// MINI-PLAYER
+// On the full watch page the player docks to the corner while playing and
+// scrolled out of view, and returns when the player area is visible again.
+// ============================================================================
+
+const MINI_PLAYER_VISIBLE_RATIO = 0.3; // Dock once less than this much of the player area is visible
+
+let isPlayerAreaVisible = true;
+let isMiniPlayerDismissed = false; // Closed by the viewer, stays closed until scrolled back
+
+function initMiniPlayer() {
+  const wrapper = document.querySelector('.player-wrapper');
+  if (!wrapper || !window.IntersectionObserver || isTVMode || document.body.classList.contains('iframe-mode')) return;
+
+  const controls = document.createElement('div');
+  controls.className = 'vjs-mini-player-controls';
+  controls.innerHTML = `
+    <button type="button" class="vjs-mini-player-return" aria-label="Back to player" title="Back to player">⤢</button>
+    <button type="button" class="vjs-mini-player-close" aria-label="Close mini-player" title="Close">✕</button>
+  `;
+  player.el().appendChild(controls);
+
+  controls.querySelector('.vjs-mini-player-return').addEventListener('click', function(event) {
+    event.stopPropagation();
+    undockMiniPlayer();
+    wrapper.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  });
+
+  controls.querySelector('.vjs-mini-player-close').addEventListener('click', function(event) {
+    event.stopPropagation();
+    isMiniPlayerDismissed = true;
+    player.pause();
+    undockMiniPlayer();
+  });
+
+  const observer = new IntersectionObserver(function(entries) {
+    isPlayerAreaVisible = entries[0].intersectionRatio >= MINI_PLAYER_VISIBLE_RATIO;
+    if (isPlayerAreaVisible) {
+      isMiniPlayerDismissed = false;
+      undockMiniPlayer();
+    } else if (!player.paused()) {
+      dockMiniPlayer();
+    }
+  }, { threshold: [0, MINI_PLAYER_VISIBLE_RATIO, 1] });
+  observer.observe(wrapper);
+
+  // Started playing while scrolled away (keyboard, playlist, parent command)
+  player.on('play', function() {
+    if (!isPlayerAreaVisible) {
+      dockMiniPlayer();
+    }
+  });
+
+  // The browser's floating window replaces the mini-player
+  player.on('enterpictureinpicture', undockMiniPlayer);
+}
+
+function dockMiniPlayer() {
+  if (isMiniPlayerDismissed || player.hasClass('vjs-mini-player') || player.isFullscreen() || player.isInPictureInPicture()) return;
+
+  // Keep the page layout while the player is out of the flow
+  const wrapper = document.querySelector('.player-wrapper');
+  wrapper.style.height = `${wrapper.offsetHeight}px`;
+
+  const videoWidth = player.videoWidth();
+  const videoHeight = player.videoHeight();
+  player.el().style.aspectRatio = videoWidth && videoHeight ? `${videoWidth} / ${videoHeight}` : '';
+  player.addClass('vjs-mini-player');
+  debugLog('Mini-player docked');
+}
+
+function undockMiniPlayer() {
+  if (!player.hasClass('vjs-mini-player')) return;
+
+  player.removeClass('vjs-mini-player');
+  player.el().style.aspectRatio = '';
+  document.querySelector('.player-wrapper').style.height = '';
+  player.trigger('playerresize');
+  debugLog('Mini-player undocked');
+}
+
+// ============================================================================
+// THEMING
+// Partner themes are picked and validated by the server (themes.js) and passed
+// in <meta name="snapie-theme">. Values are checked again before use.
+// ============================================================================
+
+const THEME_COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const THEME_CONTROL_BARS = ['default', 'solid', 'transparent', 'gradient'];
+const THEME_LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const THEME_LOGO_TARGETS = ['_blank', '_parent', '_top', '_self'];
+
+function readTheme() {
+  const meta = document.querySelector('meta[name="snapie-theme"]');
+  if (!meta) return null;
+
+  try {
+    return JSON.parse(meta.getAttribute('content'));
+  } catch (e) {
+    console.warn('[3Speak Player] Ignoring invalid theme');
+    return null;
+  }
+}
+
+// Only http(s) URLs and paths on the player host
+function isThemeUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    return ['https:', 'http:'].includes(new URL(value, window.location.href).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function applyTheme() {
+  const theme = readTheme();
+  if (!theme) return;
+  debugLog('Applying theme', theme);
+
+  const root = document.documentElement;
+  if (THEME_COLOR_PATTERN.test(theme.accentColor)) {
+    root.style.setProperty('--snapie-accent', theme.accentColor);
+  }
+  if (THEME_COLOR_PATTERN.test(theme.controlBarColor)) {
+    root.style.setProperty('--snapie-control-bar-color', theme.controlBarColor);
+  }
+  if (THEME_CONTROL_BARS.includes(theme.controlBar)) {
+    document.body.classList.add(`theme-control-bar-${theme.controlBar}`);
+  }
+
+  const logo = document.getElementById('logo-top-left');
+  if (!logo) return;
+
+  if (theme.hideLogo) {
+    logo.remove();
+    return;
+  }
+
+  const image = logo.querySelector('img');
+  if (image && isThemeUrl(theme.logo)) {
+    image.src = theme.logo;
+    image.alt = '';
+  }
+
+  if (THEME_LOGO_POSITIONS.includes(theme.logoPosition)) {
+    logo.classList.remove('player-logo-top-left');
+    logo.classList.add(`player-logo-${theme.logoPosition}`);
+  }
+
+  if (image && isThemeUrl(theme.logoLink)) {
+    const link = document.createElement('a');
+    link.href = theme.logoLink;
+    link.target = THEME_LOGO_TARGETS.includes(theme.logoTarget) ? theme.logoTarget : '_blank';
+    link.rel = 'noopener';
+    link.appendChild(image);
+    logo.appendChild(link);
+    logo.classList.add('player-logo-linked');
+  }
+}
+
+// ============================================================================
+// MEDIA SESSION
+// Title, artist and artwork on the lock screen and in the OS media controls,
+// whose buttons are wired to the player.
+// ============================================================================
+
+const MEDIA_SESSION_SEEK_OFFSET = 10; // Seconds, when the OS doesn't send one
+
+function hasMediaSession() {
+  return 'mediaSession' in navigator;
+}
+
+function initMediaSession() {
+  if (!hasMediaSession()) return;
+
+  setMediaSessionAction('play', function() {
+    player.play().catch(function(error) {
+      debugLog('Media Session play blocked:', error.message);
+    });
+  });
+  setMediaSessionAction('pause', function() {
+    pauseByUser();
+  });
+  setMediaSessionAction('seekbackward', function(details) {
+    player.currentTime(Math.max(0, player.currentTime() - (details.seekOffset || MEDIA_SESSION_SEEK_OFFSET)));
+  });
+  setMediaSessionAction('seekforward', function(details) {
+    const time = player.currentTime() + (details.seekOffset || MEDIA_SESSION_SEEK_OFFSET);
+    player.currentTime(player.duration() ? Math.min(player.duration(), time) : time);
+  });
+  setMediaSessionAction('seekto', function(details) {
+    if (typeof details.seekTime === 'number') {
+      player.currentTime(details.seekTime);
+    }
+  });
+
+  player.on('play', function() {
+    navigator.mediaSession.playbackState = 'playing';
+  });
+  player.on('pause', function() {
+    navigator.mediaSession.playbackState = 'paused';
+  });
+  player.on(['timeupdate', 'durationchange', 'ratechange'], updateMediaSessionPosition);
+}
+
+// Browsers throw for actions they don't support
+function setMediaSessionAction(action, handler) {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch (error) {
+    debugLog(`Media session action "${action}" not supported`);
+  }
+}
+
+// Metadata for the loaded video, and next/previous buttons when it's part of a playlist
+function updateMediaSession(videoData, title) {
+  if (!hasMediaSession()) return;
+
+  try {
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: title,
+      artist: videoData.owner || '',
+      album: playlist ? `Playlist (${playlist.index + 1}/${playlist.items.length})` : '3Speak',
+      artwork: videoData.thumbnail
+        ? [{ src: new URL(videoData.thumbnail, window.location.href).href }]
+        : []
+    });
   } catch (error) {
-    console.error('Error incrementing view count:', error);
+    debugLog('Could not set media session metadata:', error.message);
   }
+
+  const hasNext = playlist && playlist.index < playlist.items.length - 1;
+  const hasPrevious = playlist && playlist.index > 0;
+  setMediaSessionAction('nexttrack', hasNext ? playNext : null);
+  setMediaSessionAction('previoustrack', hasPrevious ? playPrevious : null);
 }
 
-// Load video into player
-async function loadVideoFromData(videoData) {
-  if (!player) {
-    console.error('Player not initialized');
-    return;
+// Keep the lock screen progress bar in sync (needs a known duration)
+function updateMediaSessionPosition() {
+  if (!hasMediaSession() || !navigator.mediaSession.setPositionState) return;
+
+  const duration = player.duration();
+  if (!duration || !isFinite(duration)) return;
+
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: duration,
+      playbackRate: player.playbackRate() || 1,
+      position: Math.min(player.currentTime(), duration)
+    });
+  } catch (error) {
+    debugLog('Could not set media session position:', error.message);
   }
+}
 
-  currentVideoData = videoData;
-  player.hasIncrementedView = false;
-  player.triedFallback = false;
+// ============================================================================
+// TV REMOTE NAVIGATION
+// tvmode=1 turns off Video.js hotkeys. While the controls are hidden the arrows
+// seek and change volume and Enter toggles fullscreen; while they are shown
+// (paused or recently used) the arrows move focus between controls and menus.
+// ============================================================================
+
+const TV_SEEK_STEP = 10;          // Seconds per left/right press
+const TV_SKIP_STEP = 30;          // Seconds per fast forward / rewind press
+const TV_VOLUME_STEP = 0.1;
+const TV_INDICATOR_DURATION = 1200; // ms the seek/volume indicator stays visible
+
+const TV_KEY_NAMES = {
+  ArrowLeft: 'left', Left: 'left',
+  ArrowRight: 'right', Right: 'right',
+  ArrowUp: 'up', Up: 'up',
+  ArrowDown: 'down', Down: 'down',
+  Enter: 'enter',
+  Escape: 'back', Backspace: 'back', GoBack: 'back', BrowserBack: 'back', XF86Back: 'back',
+  MediaPlayPause: 'playpause',
+  MediaPlay: 'play',
+  MediaPause: 'pause',
+  MediaStop: 'stop',
+  MediaFastForward: 'forward',
+  MediaRewind: 'rewind',
+  MediaTrackNext: 'next',
+  MediaTrackPrevious: 'previous',
+  ContextMenu: 'menu', Info: 'menu'
+};
+
+// Remotes that don't report a key name (webOS, Tizen, older set-top boxes)
+const TV_KEY_CODES = {
+  37: 'left', 38: 'up', 39: 'right', 40: 'down',
+  13: 'enter',
+  27: 'back', 8: 'back', 166: 'back', 461: 'back', 10009: 'back',
+  179: 'playpause', 10252: 'playpause',
+  415: 'play', 250: 'play',
+  19: 'pause',
+  413: 'stop', 178: 'stop',
+  417: 'forward', 228: 'forward',
+  412: 'rewind', 227: 'rewind',
+  176: 'next', 425: 'next',
+  177: 'previous', 424: 'previous',
+  93: 'menu', 457: 'menu'
+};
+
+let tvIndicatorTimer = null;
+
+function initTVNavigation() {
+  document.body.classList.add('tv-mode');
+
+  // Tizen only delivers media keys to apps that register them
+  if (window.tizen && window.tizen.tvinputdevice) {
+    ['MediaPlayPause', 'MediaPlay', 'MediaPause', 'MediaStop', 'MediaFastForward', 'MediaRewind',
+      'MediaTrackNext', 'MediaTrackPrevious'].forEach(function(key) {
+      try {
+        window.tizen.tvinputdevice.registerKey(key);
+      } catch (e) {
+        // Key not available on this model
+      }
+    });
+  }
 
-  // Set poster/thumbnail if available
-  if (videoData.thumbnail) {
-    debugLog('Setting thumbnail', videoData.thumbnail);
-    player.poster(videoData.thumbnail);
-  } else {
-    debugLog('No thumbnail available for this video');
+  // Capture phase, so Video.js components only see keys we pass through
+  document.addEventListener('keydown', handleTVKey, true);
+}
+
+function getTVAction(event) {
+  return TV_KEY_NAMES[event.key] || TV_KEY_CODES[event.keyCode] || null;
+}
+
+// Controls are on screen while paused or while the viewer is using them
+function areTVControlsVisible() {
+  return shouldShowControls && (player.paused() || player.userActive());
+}
+
+function handleTVKey(event) {
+  const action = getTVAction(event);
+  if (!action || !player) return;
+
+  if (handleTVMediaKey(action) || (areTVControlsVisible() ? handleTVControlsKey(action) : handleTVPlaybackKey(action))) {
+    event.preventDefault();
+    event.stopPropagation();
   }
+}
 
-  // Set video sources with CDN-first fallback chain
-  const sources = [
-    {
-      src: videoData.videoUrl,
-      type: 'application/x-mpegURL'
+// Autoplay policies can reject play() when the browser doesn't count a key press as a gesture
+function playFromRemote() {
+  player.play().catch(function(error) {
+    debugLog('Remote play blocked:', error.message);
+  });
+}
+
+// Media keys work the same whether the controls are shown or not
+function handleTVMediaKey(action) {
+  switch (action) {
+    case 'playpause':
+      if (player.paused()) {
+        playFromRemote();
+      } else {
+        pauseByUser();
+      }
+      return true;
+    case 'play':
+      playFromRemote();
+      return true;
+    case 'pause':
+    case 'stop':
+      pauseByUser();
+      return true;
+    case 'forward':
+      seekTV(TV_SKIP_STEP);
+      return true;
+    case 'rewind':
+      seekTV(-TV_SKIP_STEP);
+      return true;
+    case 'next':
+      playNext();
+      return true;
+    case 'previous':
+      playPrevious();
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Controls hidden: arrows seek and change volume, Enter toggles fullscreen
+function handleTVPlaybackKey(action) {
+  switch (action) {
+    case 'left':
+      seekTV(-TV_SEEK_STEP);
+      return true;
+    case 'right':
+      seekTV(TV_SEEK_STEP);
+      return true;
+    case 'up':
+      changeTVVolume(TV_VOLUME_STEP);
+      return true;
+    case 'down':
+      changeTVVolume(-TV_VOLUME_STEP);
+      return true;
+    case 'enter':
+      toggleTVFullscreen();
+      return true;
+    case 'menu':
+      player.userActive(true);
+      focusTVDefault();
+      return true;
+    case 'back':
+      // Let the TV app handle Back unless it leaves fullscreen
+      if (player.isFullscreen()) {
+        player.exitFullscreen();
+        return true;
+      }
+      return false;
+    default:
+      return false;
+  }
+}
+
+// Controls shown: spatial focus navigation, Enter activates the focused control
+function handleTVControlsKey(action) {
+  player.userActive(true);
+  const focused = getTVFocusedControl();
+
+  switch (action) {
+    case 'left':
+    case 'right':
+    case 'up':
+    case 'down': {
+      // Open menus and sliders handle their own arrow keys
+      const isVertical = action === 'up' || action === 'down';
+      if (focused && (focused.closest('.vjs-menu') || isTVSliderKey(focused, isVertical))) {
+        return false;
+      }
+      return focused ? moveTVFocus(action, focused) : focusTVDefault();
     }
-  ];
-  
-  // Add fallback chain: CDN -> Supernode -> Hotnode -> Audionode
-  if (videoData.videoUrlFallback1 && videoData.videoUrlFallback1 !== videoData.videoUrl) {
-    sources.push({
-      src: videoData.videoUrlFallback1,
-      type: 'application/x-mpegURL'
+    case 'enter':
+      if (focused) {
+        return false; // Native button / Video.js component activation
+      }
+      toggleTVFullscreen();
+      return true;
+    case 'back': {
+      const menuButton = focused && focused.closest('.vjs-menu') && focused.closest('.vjs-menu-button');
+      if (menuButton) {
+        // Close the menu and return focus to its button
+        const menu = menuButton.querySelector('.vjs-menu');
+        const button = menuButton.querySelector('button');
+        if (menu) {
+          menu.classList.remove('vjs-lock-showing');
+        }
+        if (button) {
+          button.focus();
+        }
+        return true;
+      }
+      if (focused) {
+        focused.blur();
+        if (!player.paused()) {
+          player.userActive(false);
+        }
+        return true;
+      }
+      if (player.isFullscreen()) {
+        player.exitFullscreen();
+        return true;
+      }
+      return false;
+    }
+    case 'menu':
+      return focusTVDefault();
+    default:
+      return false;
+  }
+}
+
+// Sliders take arrows along their own axis (seek bar: left/right, vertical volume: up/down)
+function isTVSliderKey(element, isVertical) {
+  if (element.getAttribute('role') !== 'slider') return false;
+  return element.classList.contains('vjs-slider-vertical') === isVertical;
+}
+
+// Focusable controls currently on screen inside the player
+function getTVFocusables() {
+  return Array.from(player.el().querySelectorAll('button, [role="slider"], .vjs-menu-item, [tabindex]:not([tabindex="-1"])'))
+    .filter(function(element) {
+      if (element.disabled || element.closest('.vjs-hidden')) return false;
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return false;
+      const style = window.getComputedStyle(element);
+      return style.visibility !== 'hidden' && style.display !== 'none';
     });
+}
+
+function getTVFocusedControl() {
+  const active = document.activeElement;
+  return active && active !== document.body && player.el().contains(active) && getTVFocusables().includes(active)
+    ? active
+    : null;
+}
+
+// Move focus to the nearest control in the pressed direction
+function moveTVFocus(direction, from) {
+  const origin = from.getBoundingClientRect();
+  const originX = origin.left + origin.width / 2;
+  const originY = origin.top + origin.height / 2;
+  let best = null;
+  let bestScore = Infinity;
+
+  getTVFocusables().forEach(function(element) {
+    if (element === from) return;
+    const rect = element.getBoundingClientRect();
+    const dx = rect.left + rect.width / 2 - originX;
+    const dy = rect.top + rect.height / 2 - originY;
+    const distance = { left: -dx, right: dx, up: -dy, down: dy }[direction];
+    if (distance <= 1) return;
+
+    // Prefer controls in line with the current one
+    const offset = direction === 'left' || direction === 'right' ? Math.abs(dy) : Math.abs(dx);
+    const score = distance + offset * 2;
+    if (score < bestScore) {
+      best = element;
+      bestScore = score;
+    }
+  });
+
+  if (best) {
+    best.focus();
   }
-  
-  if (videoData.videoUrlFallback2 && videoData.videoUrlFallback2 !== videoData.videoUrl) {
-    sources.push({
-      src: videoData.videoUrlFallback2,
-      type: 'application/x-mpegURL'
+  return true; // Swallow the key even at the edge, so the page doesn't scroll
+}
+
+// Start navigation on the overlay button (resume, up next) or play/pause
+function focusTVDefault() {
+  const focusables = getTVFocusables();
+  const target = focusables.find(function(element) {
+    return element.closest('.vjs-resume-prompt, .vjs-up-next');
+  }) || player.el().querySelector('.vjs-play-control') || focusables[0];
+
+  if (target) {
+    target.focus();
+  }
+  return true;
+}
+
+function seekTV(seconds) {
+  const duration = player.duration() || 0;
+  const time = Math.max(0, Math.min(duration || Infinity, player.currentTime() + seconds));
+  player.currentTime(time);
+  showTVIndicator(`${seconds > 0 ? '⏩' : '⏪'} ${formatTime(time)}${duration ? ` / ${formatTime(duration)}` : ''}`);
+}
+
+function changeTVVolume(step) {
+  const volume = Math.round(Math.max(0, Math.min(1, player.volume() + step)) * 100) / 100;
+  player.volume(volume);
+  if (step > 0 && player.muted()) {
+    player.muted(false);
+  }
+  showTVIndicator(`Volume ${Math.round(volume * 100)}%`);
+}
+
+function toggleTVFullscreen() {
+  if (player.isFullscreen()) {
+    player.exitFullscreen();
+  } else {
+    player.requestFullscreen();
+  }
+}
+
+// Large on-screen feedback for seeks and volume changes while the controls are hidden
+function showTVIndicator(text) {
+  let indicator = document.querySelector('.vjs-tv-indicator');
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.className = 'vjs-tv-indicator';
+    player.el().appendChild(indicator);
+  }
+
+  indicator.textContent = text;
+  indicator.classList.add('visible');
+  clearTimeout(tvIndicatorTimer);
+  tvIndicatorTimer = setTimeout(function() {
+    indicator.classList.remove('visible');
+  }, TV_INDICATOR_DURATION);
+}
+
+// ============================================================================
+// RESUME PLAYBACK
+// ============================================================================
+
+function getWatchPositionKey(videoData) {
+  return `${videoData.owner}/${videoData.permlink}`;
+}
+
+function readWatchPositions() {
+  try {
+    return JSON.parse(window.localStorage.getItem(RESUME_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeWatchPositions(positions) {
+  try {
+    window.localStorage.setItem(RESUME_STORAGE_KEY, JSON.stringify(positions));
+  } catch (e) {
+    // Storage full or unavailable (sandboxed iframe) - resume is best effort
+  }
+}
+
+function isNearlyFinished(time, duration) {
+  return duration > 0 && time / duration >= RESUME_FINISHED_RATIO;
+}
+
+// Save current position of the loaded video (skips placeholders and finished videos)
+function saveWatchPosition() {
+  if (!isResumeEnabled || !currentVideoData || currentVideoData.isPlaceholder) return;
+
+  const time = player.currentTime();
+  const duration = player.duration();
+
+  // Keep the saved position (and its prompt) until this session gets past the first seconds,
+  // so starting playback doesn't throw away where the viewer left off
+  if (time >= RESUME_MIN_POSITION && !player.hasPassedResumeMinimum) {
+    player.hasPassedResumeMinimum = true;
+    hideResumePrompt();
+  }
+  if (!player.hasPassedResumeMinimum) return;
+
+  if (time < RESUME_MIN_POSITION || isNearlyFinished(time, duration)) {
+    clearWatchPosition(currentVideoData);
+    return;
+  }
+
+  const positions = readWatchPositions();
+  positions[getWatchPositionKey(currentVideoData)] = {
+    time: Math.floor(time),
+    duration: Math.floor(duration) || 0,
+    updatedAt: Date.now()
+  };
+
+  // Keep only the most recently watched entries
+  const keys = Object.keys(positions);
+  if (keys.length > RESUME_MAX_ENTRIES) {
+    keys
+      .sort((a, b) => positions[a].updatedAt - positions[b].updatedAt)
+      .slice(0, keys.length - RESUME_MAX_ENTRIES)
+      .forEach(key => delete positions[key]);
+  }
+
+  writeWatchPositions(positions);
+}
+
+function clearWatchPosition(videoData) {
+  if (!videoData) return;
+  const positions = readWatchPositions();
+  const key = getWatchPositionKey(videoData);
+  if (positions[key]) {
+    delete positions[key];
+    writeWatchPositions(positions);
+  }
+}
+
+// Saved position to resume from, or null
+function getWatchPosition(videoData) {
+  if (!isResumeEnabled || videoData.isPlaceholder) return null;
+
+  const saved = readWatchPositions()[getWatchPositionKey(videoData)];
+  if (!saved || saved.time < RESUME_MIN_POSITION) return null;
+
+  const duration = saved.duration || videoData.duration || 0;
+  if (isNearlyFinished(saved.time, duration)) return null;
+
+  return saved.time;
+}
+
+function formatTime(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Show "Resume from 12:34" prompt
+function showResumePrompt(position) {
+  let prompt = document.querySelector('.vjs-resume-prompt');
+
+  if (!prompt) {
+    prompt = document.createElement('div');
+    prompt.className = 'vjs-resume-prompt';
+    prompt.innerHTML = `
+      <button type="button" class="vjs-resume-button"></button>
+      <button type="button" class="vjs-resume-dismiss" aria-label="Start from beginning">✕</button>
+    `;
+
+    prompt.querySelector('.vjs-resume-button').addEventListener('click', function(e) {
+      e.stopPropagation();
+      const time = Number(prompt.dataset.position);
+      hideResumePrompt();
+      if (player.readyState() >= 1) {
+        player.currentTime(time);
+      } else {
+        player.one('loadedmetadata', function() {
+          player.currentTime(time);
+        });
+      }
+      player.play();
+    });
+
+    prompt.querySelector('.vjs-resume-dismiss').addEventListener('click', function(e) {
+      e.stopPropagation();
+      hideResumePrompt();
+      clearWatchPosition(currentVideoData);
     });
+
+    player.el().appendChild(prompt);
   }
-  
-  if (videoData.videoUrlFallback3 && videoData.videoUrlFallback3 !== videoData.videoUrl) {
-    sources.push({
-      src: videoData.videoUrlFallback3,
-      type: 'application/x-mpegURL'
+
+  prompt.dataset.position = position;
+  prompt.querySelector('.vjs-resume-button').textContent = `Resume from ${formatTime(position)}`;
+  prompt.classList.add('visible');
+  debugLog('Resume prompt shown', position);
+}
+
+function hideResumePrompt() {
+  const prompt = document.querySelector('.vjs-resume-prompt');
+  if (prompt) {
+    prompt.classList.remove('visible');
+  }
+}
+
+// Replace subtitle text tracks with the ones from the API response
+function loadSubtitles(subtitles) {
+  const existingTracks = player.remoteTextTracks();
+  for (let i = existingTracks.length - 1; i >= 0; i--) {
+    player.removeRemoteTextTrack(existingTracks[i]);
+  }
+
+  const ccLanguage = (defaultCaptionLanguage || '').toLowerCase();
+
+  subtitles.forEach(function(subtitle) {
+    const isDefault = !!ccLanguage && subtitle.language.toLowerCase() === ccLanguage;
+    player.addRemoteTextTrack({
+      kind: 'subtitles',
+      src: subtitle.url,
+      srclang: subtitle.language,
+      label: subtitle.label,
+      default: isDefault,
+      mode: isDefault ? 'showing' : 'disabled'
+    }, false);
+  });
+
+  debugLog('Subtitle tracks loaded', { subtitles, ccLanguage });
+}
+
+// ============================================================================
+// SEEK PREVIEWS (STORYBOARDS AND CHAPTERS)
+// ============================================================================
+
+let storyboard = null;      // { type: 'vtt', cues } or the 'frames' storyboard from the API
+let storyboardRequest = 0;  // Ignores VTT responses of a previously loaded video
+let chapters = [];          // [{ start, title }] from the API
+let chaptersTrackUrl = null; // Blob URL of the generated chapters track
+
+// Parse "HH:MM:SS.mmm" or "MM:SS.mmm" WebVTT timestamps
+function parseVttTime(value) {
+  const parts = value.trim().split(':').map(parseFloat);
+  return parts.reduce(function(total, part) {
+    return total * 60 + part;
+  }, 0);
+}
+
+// Parse a WebVTT thumbnails track: cue text is an image URL, optionally with #xywh=x,y,w,h
+function parseStoryboardVtt(text, vttUrl) {
+  const cues = [];
+  text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(function(block) {
+    const lines = block.trim().split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || !lines[timingIndex + 1]) return;
+
+    const [start, end] = lines[timingIndex].split('-->').map(part => parseVttTime(part.trim().split(/\s+/)[0]));
+    const [ref, hash] = lines[timingIndex + 1].trim().split('#');
+    const xywh = /xywh=(\d+),(\d+),(\d+),(\d+)/.exec(hash || '');
+
+    cues.push({
+      start: start,
+      end: end,
+      url: new URL(ref, vttUrl).href,
+      x: xywh ? parseInt(xywh[1], 10) : 0,
+      y: xywh ? parseInt(xywh[2], 10) : 0,
+      width: xywh ? parseInt(xywh[3], 10) : null,
+      height: xywh ? parseInt(xywh[4], 10) : null
     });
+  });
+  return cues;
+}
+
+// Load the storyboard of the current video (null keeps the plain seek bar)
+function loadStoryboard(data) {
+  storyboard = null;
+  hideSeekPreview();
+  const requestId = ++storyboardRequest;
+
+  if (!data) return;
+
+  if (data.type === 'frames') {
+    storyboard = data;
+    debugLog('Storyboard frames loaded', data);
+    return;
   }
 
-  player.src(sources);
-  player.load();
-  
-  debugLog('Video sources set', sources);
-  
-  // Update UI
-  const title = videoData.title || `${videoData.owner}/${videoData.permlink}`;
-  updateCurrentSource(title);
-  
-  // Update view count
-  updateViewCount(videoData.views);
-  
-  // Update info panel
-  if (videoData.isPlaceholder) {
-    updatePlayerState(`Placeholder (${videoData.status})`);
+  if (data.type === 'vtt') {
+    fetch(data.url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then(text => {
+        if (requestId !== storyboardRequest) return;
+        const cues = parseStoryboardVtt(text, data.url);
+        storyboard = cues.length > 0 ? { type: 'vtt', cues: cues } : null;
+        debugLog('Storyboard VTT loaded', { url: data.url, cues: cues.length });
+      })
+      .catch(error => {
+        console.warn('[3Speak Player] Could not load storyboard:', error.message);
+      });
+  }
+}
+
+// Thumbnail for a position: { url, x, y, width, height, size } or null
+function getStoryboardFrame(time) {
+  if (!storyboard) return null;
+
+  if (storyboard.type === 'vtt') {
+    const cue = storyboard.cues.find(c => time >= c.start && time < c.end) ||
+                storyboard.cues[storyboard.cues.length - 1];
+    return {
+      url: cue.url,
+      x: cue.x,
+      y: cue.y,
+      width: cue.width || 160,
+      height: cue.height || 90,
+      size: cue.width ? null : 'cover'  // Whole images are scaled, sprite tiles are not
+    };
+  }
+
+  let index = Math.floor(time / storyboard.interval);
+  if (storyboard.count) {
+    index = Math.min(index, storyboard.count - 1);
+  }
+  const number = String(storyboard.startIndex + index);
+  const fileName = storyboard.pattern.replace(/%(0(\d+))?d/, function(match, pad, width) {
+    return width ? number.padStart(parseInt(width, 10), '0') : number;
+  });
+  return {
+    url: `${storyboard.baseUrl}/${fileName}`,
+    x: 0,
+    y: 0,
+    width: storyboard.width,
+    height: storyboard.height,
+    size: 'cover'
+  };
+}
+
+// Format seconds as a WebVTT timestamp
+function toVttTime(seconds) {
+  const total = Math.max(0, seconds);
+  const hours = String(Math.floor(total / 3600)).padStart(2, '0');
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  return `${hours}:${minutes}:${(total % 60).toFixed(3).padStart(6, '0')}`;
+}
+
+// Load chapters: markers on the progress bar plus a chapters text track,
+// which Video.js turns into the chapters menu of the control bar
+function loadChapters(list, duration) {
+  chapters = list;
+  renderChapterMarkers();
+
+  if (chaptersTrackUrl) {
+    URL.revokeObjectURL(chaptersTrackUrl);
+    chaptersTrackUrl = null;
+  }
+  if (chapters.length === 0) return;
+
+  const lastEnd = duration > 0 ? duration : chapters[chapters.length - 1].start + 24 * 3600;
+  const cues = chapters.map(function(chapter, index) {
+    const end = index < chapters.length - 1 ? chapters[index + 1].start : lastEnd;
+    return `${toVttTime(chapter.start)} --> ${toVttTime(end)}\n${chapter.title}`;
+  });
+  chaptersTrackUrl = URL.createObjectURL(new Blob([`WEBVTT\n\n${cues.join('\n\n')}\n`], { type: 'text/vtt' }));
+
+  player.addRemoteTextTrack({
+    kind: 'chapters',
+    src: chaptersTrackUrl,
+    label: 'Chapters' // No srclang: chapter titles are in the video's own language
+  }, false);
+
+  debugLog('Chapters loaded', chapters);
+}
+
+// Draw a marker on the progress bar at the start of every chapter but the first
+function renderChapterMarkers() {
+  const progressControl = player.controlBar && player.controlBar.progressControl;
+  if (!progressControl || !progressControl.seekBar) return;
+
+  const seekBarEl = progressControl.seekBar.el();
+  seekBarEl.querySelectorAll('.vjs-chapter-marker').forEach(marker => marker.remove());
+
+  const duration = player.duration();
+  if (!duration || !isFinite(duration)) return;
+
+  chapters.slice(1).forEach(function(chapter) {
+    if (chapter.start >= duration) return;
+    const marker = document.createElement('div');
+    marker.className = 'vjs-chapter-marker';
+    marker.style.left = `${(chapter.start / duration) * 100}%`;
+    seekBarEl.appendChild(marker);
+  });
+}
+
+// Chapter playing at a position, or null
+function getChapterAt(time) {
+  let current = null;
+  chapters.forEach(function(chapter) {
+    if (chapter.start <= time) current = chapter;
+  });
+  return current;
+}
+
+// Show the preview (storyboard frame and/or chapter title) for a pointer position over the seek bar
+function showSeekPreview(clientX) {
+  const duration = player.duration();
+  if ((!storyboard && chapters.length === 0) || !duration || !isFinite(duration)) return;
+
+  const progressControl = player.controlBar && player.controlBar.progressControl;
+  const preview = progressControl && progressControl.el().querySelector('.vjs-seek-preview');
+  if (!preview) return;
+
+  const seekBarRect = progressControl.seekBar.el().getBoundingClientRect();
+  const controlRect = progressControl.el().getBoundingClientRect();
+  const percent = Math.max(0, Math.min(1, (clientX - seekBarRect.left) / seekBarRect.width));
+  const time = percent * duration;
+  const frame = getStoryboardFrame(time);
+  const chapter = getChapterAt(time);
+  if (!frame && !chapter) return;
+
+  const image = preview.querySelector('.vjs-storyboard-image');
+  if (frame) {
+    image.style.display = '';
+    image.style.width = `${frame.width}px`;
+    image.style.height = `${frame.height}px`;
+    image.style.backgroundImage = `url("${frame.url}")`;
+    image.style.backgroundPosition = `-${frame.x}px -${frame.y}px`;
+    image.style.backgroundSize = frame.size || 'auto';
   } else {
-    updatePlayerState('Ready');
+    image.style.display = 'none';
   }
-  
-  debugLog('Loaded video data', videoData);
+
+  const title = preview.querySelector('.vjs-seek-preview-chapter');
+  title.textContent = chapter ? chapter.title : '';
+  title.style.display = chapter ? '' : 'none';
+
+  // Center over the pointer, but keep the preview inside the player
+  preview.classList.add('vjs-seek-preview-visible');
+  const width = preview.offsetWidth;
+  const pointerX = seekBarRect.left + time / duration * seekBarRect.width - controlRect.left;
+  preview.style.left = `${Math.max(0, Math.min(controlRect.width - width, pointerX - width / 2))}px`;
 }
 
+function hideSeekPreview() {
+  const preview = document.querySelector('.vjs-seek-preview');
+  if (preview) {
+    preview.classList.remove('vjs-seek-preview-visible');
+  }
+}
 
+// Attach preview element and hover/drag handlers to the progress bar once
+function initSeekPreview() {
+  const progressControl = player.controlBar && player.controlBar.progressControl;
+  if (!progressControl || !progressControl.seekBar) return;
+
+  const preview = document.createElement('div');
+  preview.className = 'vjs-seek-preview';
+  preview.innerHTML = '<div class="vjs-storyboard-image"></div><div class="vjs-seek-preview-chapter"></div>';
+  progressControl.el().appendChild(preview);
+
+  const seekBarEl = progressControl.seekBar.el();
+  let isDragging = false;
+
+  const getClientX = event => (event.touches && event.touches[0] ? event.touches[0].clientX : event.clientX);
+  const onMove = event => showSeekPreview(getClientX(event));
+  const onDragEnd = function() {
+    isDragging = false;
+    hideSeekPreview();
+    document.removeEventListener('mousemove', onMove);
+    document.removeEventListener('touchmove', onMove);
+    document.removeEventListener('mouseup', onDragEnd);
+    document.removeEventListener('touchend', onDragEnd);
+  };
+  const onDragStart = function(event) {
+    if (!storyboard && chapters.length === 0) return;
+    isDragging = true;
+    onMove(event);
+    // Keep previewing while dragging outside the bar
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('touchmove', onMove, { passive: true });
+    document.addEventListener('mouseup', onDragEnd);
+    document.addEventListener('touchend', onDragEnd);
+  };
 
+  progressControl.el().addEventListener('mousemove', onMove);
+  progressControl.el().addEventListener('mouseleave', function() {
+    if (!isDragging) hideSeekPreview();
+  });
+  seekBarEl.addEventListener('mousedown', onDragStart);
+  seekBarEl.addEventListener('touchstart', onDragStart, { passive: true });
 
+  // Marker positions depend on the duration
+  player.on('durationchange', renderChapterMarkers);
+}
 
 // JW Player approach: Read video dimensions and set aspect ratio dynamically
 function handleAspectRatio() {
@@ -1004,7 +3299,7 @@ function handleAspectRatio() {
       orientation: isVertical ? 'vertical' : (videoWidth === videoHeight ? 'square' : 'horizontal')
     };
     
-    window.parent.postMessage(message, '*');
+    postToParent(message);
     debugLog('Sent video info to parent window:', message);
   }
 }
@@ -1189,11 +3484,15 @@ function showCodecError() {
 // Initialize on DOM ready
 document.addEventListener('DOMContentLoaded', async function() {
   // 1. FIRST: Get URL parameters and apply classes BEFORE initializing player
-  const { video, type, mode, layout, debug, noscroll, autoplay, controls, tvmode } = getUrlParams();
+  const { video: videoParam, type, mode, layout, debug, noscroll, autoplay, controls, tvmode, cc, list, resume, audioonly, origin } = getUrlParams();
+  let video = videoParam;
 
   isDebugMode = ['1', 'true', 'yes', 'debug'].includes((debug || '').toLowerCase());
   shouldAutoplay = ['1', 'true', 'yes'].includes((autoplay || '').toLowerCase());
   isTVMode = ['1', 'true', 'yes'].includes((tvmode || '').toLowerCase());
+  defaultCaptionLanguage = cc || null;
+  isResumeEnabled = !['0', 'false', 'no'].includes((resume || '').toLowerCase());
+  isAudioOnly = ['1', 'true', 'yes'].includes((audioonly || '').toLowerCase());
   // Controls are shown by default, hide only if explicitly set to '0' or 'false'
   shouldShowControls = !['0', 'false', 'no'].includes((controls || '').toLowerCase());
 
@@ -1221,28 +3520,33 @@ document.addEventListener('DOMContentLoaded', async function() {
     debugLog('No-scroll mode enabled');
   }
   
+  // White-label theme injected by the server (must run before the player sets up the logo)
+  applyTheme();
+  
   debugLog('Body class list before init', document.body.className);
 
+  // Restrict the postMessage channel before the player starts sending events
+  initParentMessaging(origin);
+
   // 2. NOW: Initialize the player (it can now detect layout classes correctly)
   initializePlayer();
 
-  // TV Mode: Enter key toggles fullscreen (direct user gesture in iframe)
-  // Use capture phase to intercept before video.js hotkeys handle it
+  // TV Mode: remote / D-pad navigation, Enter toggles fullscreen (direct user gesture in iframe)
   console.log('[3Speak Player] TV Mode check:', isTVMode, 'tvmode param:', tvmode);
   if (isTVMode) {
-    console.log('[3Speak Player] TV Mode ENABLED - Enter key will toggle fullscreen');
-    document.addEventListener('keydown', function(event) {
-      if (event.keyCode === 13 || event.key === 'Enter') {
-        console.log('[3Speak Player] Enter key pressed, toggling fullscreen');
-        if (player && player.isFullscreen()) {
-          player.exitFullscreen();
-        } else if (player) {
-          player.requestFullscreen();
-        }
-        event.preventDefault();
-        event.stopPropagation();
-      }
-    }, true); // capture phase
+    console.log('[3Speak Player] TV Mode ENABLED - remote navigation, Enter toggles fullscreen');
+    initTVNavigation();
+  }
+  
+  // Playlist mode: list=owner/permlink,owner/permlink (v= picks the starting item)
+  if (list) {
+    const items = list.split(',').map(item => item.trim()).filter(item => item.includes('/'));
+    if (items.length > 0) {
+      const startIndex = Math.max(0, items.indexOf(video));
+      playlist = { items, index: startIndex, type, prefetched: null, countdownTimer: null };
+      video = items[startIndex];
+      debugLog('Playlist mode', playlist);
+    }
   }
   
   if (!video) {
@@ -1260,9 +3564,15 @@ document.addEventListener('DOMContentLoaded', async function() {
     await loadVideoFromData(videoData);
     
   } catch (error) {
+    // Keep going if the first playlist item cannot be loaded
+    if (playlist && playlist.index < playlist.items.length - 1) {
+      console.error(`Could not load playlist item ${video}:`, error);
+      playIndex(playlist.index + 1, shouldAutoplay);
+      return;
+    }
     showError(error.message);
   }
 });
 
 // Export player instance for external access
-export { player, loadVideoFromData };
+export { player, loadVideoFromData, playIndex };
@@ -0,0 +1,271 @@
+/**
+ * snapie-embed.js - Control 3speak player iframes from the host page
+ *
+ * Standalone, no dependencies. Built by webpack (babel, UMD) into dist/snapie-embed.js,
+ * which exposes window.SnapieEmbed. Load it from the player host:
+ *
+ *   <script src="https://play.3speak.tv/snapie-embed.js"></script>
+ *
+ *   const player = SnapieEmbed.connect(document.getElementById('player'));
+ *   await player.ready;
+ *   await player.play();
+ *   player.on('timeupdate', ({ currentTime, duration }) => { ... });
+ *
+ * Or let it create the iframe:
+ *
+ *   const player = SnapieEmbed.create('#container', { video: 'author/permlink', type: 'embed', layout: 'mobile' });
+ *
+ * Every command returns a Promise that resolves with the player's reply and
+ * rejects with a SnapieError ({ code, message }) for unknown methods, invalid
+ * params or timeouts.
+ */
+const PROTOCOL_VERSION = 1;
+const DEFAULT_HOST = 'https://play.3speak.tv';
+const DEFAULT_TIMEOUT = 10000;      // Handshake and request timeout (ms)
+const HANDSHAKE_INTERVAL = 250;     // Resend handshake until the player answers (ms)
+
+class SnapieError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SnapieError';
+    this.code = code;
+  }
+}
+
+// Legacy { type: '3speak-...' } events are normalized to protocol event names
+function getLegacyEventName(type) {
+  if (typeof type !== 'string' || type.indexOf('3speak-') !== 0) return null;
+  const name = type.slice('3speak-'.length);
+  if (name === 'handshake-ack' || name === 'state') return null;
+  return name === 'player-ready' ? 'ready' : name;
+}
+
+class SnapiePlayer {
+  constructor(iframe, options = {}) {
+    if (!iframe || iframe.tagName !== 'IFRAME') {
+      throw new TypeError('SnapieEmbed: expected an <iframe> element');
+    }
+
+    this.iframe = iframe;
+    this.origin = options.origin || new URL(iframe.src, window.location.href).origin;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.capabilities = null;
+
+    this._nextId = 1;
+    this._pending = new Map();
+    this._listeners = {};
+    this._onMessage = this._onMessage.bind(this);
+    window.addEventListener('message', this._onMessage);
+
+    // Resolves with { version, commands, events } once the player answers. A failed
+    // handshake rejects call() and the caller's own awaits, never an unhandled promise.
+    this.ready = this._handshake();
+    this.ready.catch(() => {});
+  }
+
+  // ------------------------------------------------------------------
+  // Commands
+  // ------------------------------------------------------------------
+
+  play() { return this.call('play'); }
+  pause() { return this.call('pause'); }
+  togglePlay() { return this.call('togglePlay'); }
+  mute() { return this.call('mute'); }
+  unmute() { return this.call('unmute'); }
+  toggleMute() { return this.call('toggleMute'); }
+  seek(time) { return this.call('seek', { time }); }
+  seekForward(seconds) { return this.call('seekForward', { seconds }); }
+  seekBackward(seconds) { return this.call('seekBackward', { seconds }); }
+  setVolume(volume) { return this.call('setVolume', { volume }); }
+  volumeUp(step) { return this.call('volumeUp', { step }); }
+  volumeDown(step) { return this.call('volumeDown', { step }); }
+  enterFullscreen() { return this.call('enterFullscreen'); }
+  exitFullscreen() { return this.call('exitFullscreen'); }
+  toggleFullscreen() { return this.call('toggleFullscreen'); }
+  enterPiP() { return this.call('enterPiP'); }
+  exitPiP() { return this.call('exitPiP'); }
+  togglePiP() { return this.call('togglePiP'); }
+  next() { return this.call('next'); }
+  previous() { return this.call('previous'); }
+  playIndex(index) { return this.call('playIndex', { index }); }
+  getState() { return this.call('getState'); }
+
+  /**
+   * Call any player method by name (waits for the handshake first)
+   */
+  call(method, params) {
+    return this.ready.then(() => this._request(method, params, this.timeout));
+  }
+
+  // ------------------------------------------------------------------
+  // Events
+  // ------------------------------------------------------------------
+
+  on(event, listener) {
+    (this._listeners[event] = this._listeners[event] || []).push(listener);
+    return this;
+  }
+
+  off(event, listener) {
+    const listeners = this._listeners[event];
+    if (listeners) {
+      this._listeners[event] = listener ? listeners.filter(l => l !== listener) : [];
+    }
+    return this;
+  }
+
+  once(event, listener) {
+    const wrapper = (data) => {
+      this.off(event, wrapper);
+      listener(data);
+    };
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Stop listening to the iframe and reject outstanding requests
+   */
+  destroy() {
+    window.removeEventListener('message', this._onMessage);
+    clearInterval(this._handshakeTimer);
+    this._pending.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(new SnapieError('destroyed', 'Player connection was destroyed'));
+    });
+    this._pending.clear();
+    this._listeners = {};
+  }
+
+  // ------------------------------------------------------------------
+  // Internals
+  // ------------------------------------------------------------------
+
+  _emit(event, data) {
+    (this._listeners[event] || []).slice().forEach(listener => {
+      try {
+        listener(data || {});
+      } catch (error) {
+        console.error(`[SnapieEmbed] "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  _post(message) {
+    if (this.iframe.contentWindow) {
+      this.iframe.contentWindow.postMessage(message, this.origin);
+    }
+  }
+
+  _request(method, params, timeout) {
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(id);
+        reject(new SnapieError('timeout', `No reply to "${method}" within ${timeout}ms`));
+      }, timeout);
+
+      this._pending.set(id, { resolve, reject, timer });
+      this._post({ snapie: PROTOCOL_VERSION, id, method, params: params || {} });
+    });
+  }
+
+  // The iframe may still be loading, so keep knocking until it answers
+  _handshake() {
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      const send = () => this._post({ snapie: PROTOCOL_VERSION, id, method: 'handshake', params: {} });
+      const timer = setTimeout(() => {
+        clearInterval(this._handshakeTimer);
+        this._pending.delete(id);
+        reject(new SnapieError('timeout', `Player at ${this.origin} did not answer the handshake`));
+      }, this.timeout);
+
+      this._pending.set(id, {
+        resolve: (capabilities) => {
+          clearInterval(this._handshakeTimer);
+          this.capabilities = capabilities;
+          resolve(capabilities);
+        },
+        reject: (error) => {
+          clearInterval(this._handshakeTimer);
+          reject(error);
+        },
+        timer
+      });
+
+      this._handshakeTimer = setInterval(send, HANDSHAKE_INTERVAL);
+      send();
+    });
+  }
+
+  _onMessage(event) {
+    if (event.source !== this.iframe.contentWindow || event.origin !== this.origin) return;
+
+    const data = event.data;
+    if (!data || typeof data !== 'object') return;
+
+    if (typeof data.snapie === 'number') {
+      if (data.id !== undefined) {
+        const request = this._pending.get(data.id);
+        if (!request) return;
+        this._pending.delete(data.id);
+        clearTimeout(request.timer);
+        if (data.error) {
+          request.reject(new SnapieError(data.error.code, data.error.message));
+        } else {
+          request.resolve(data.result);
+        }
+      } else if (data.event) {
+        this._emit(data.event, data.data);
+      }
+      return;
+    }
+
+    // Events posted before the player switched to the versioned protocol
+    const legacyEvent = getLegacyEventName(data.type);
+    if (legacyEvent) {
+      const { type, ...payload } = data;
+      this._emit(legacyEvent, payload);
+    }
+  }
+}
+
+/**
+ * Connect to an existing player iframe
+ */
+function connect(iframe, options) {
+  return new SnapiePlayer(iframe, options);
+}
+
+/**
+ * Create a player iframe inside a container and connect to it
+ * options: video ('author/permlink'), type ('legacy' for /watch, the default, or 'embed'
+ * for /embed), list, layout, host, autoplay, controls, cc, theme, width, height
+ */
+function create(container, options = {}) {
+  const parent = typeof container === 'string' ? document.querySelector(container) : container;
+  if (!parent) {
+    throw new TypeError('SnapieEmbed: container not found');
+  }
+
+  const host = (options.host || DEFAULT_HOST).replace(/\/+$/, '');
+  const route = options.type === 'embed' ? '/embed' : '/watch';
+  const params = new URLSearchParams({ mode: 'iframe', origin: window.location.origin });
+  ['layout', 'list', 'autoplay', 'controls', 'cc', 'theme'].forEach(name => {
+    if (options[name] !== undefined) params.set(name, String(options[name]));
+  });
+  const video = options.video ? `v=${options.video.split('/').map(encodeURIComponent).join('/')}&` : '';
+
+  const iframe = document.createElement('iframe');
+  iframe.src = `${host}${route}?${video}${params}`;
+  iframe.width = options.width || '100%';
+  iframe.height = options.height || '100%';
+  iframe.setAttribute('frameborder', '0');
+  iframe.setAttribute('allow', 'autoplay; fullscreen; picture-in-picture');
+  iframe.setAttribute('allowfullscreen', '');
+  parent.appendChild(iframe);
+
+  return connect(iframe, { origin: new URL(host).origin, timeout: options.timeout });
+}
+
+export { connect, create, SnapiePlayer, SnapieError, PROTOCOL_VERSION };
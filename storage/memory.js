@@ -0,0 +1,239 @@
+/**
+ * In-memory storage backend (STORAGE_BACKEND=memory).
+ * Seeded from a JSON fixture file (STORAGE_FIXTURES, default fixtures/videos.json)
+ * so the player runs without database credentials. Views, analytics and telemetry
+ * are kept in memory and lost on restart.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'fixtures', 'videos.json');
+
+// Fixture fields stored as dates (Mongo returns Date objects for them)
+const DATE_FIELDS = ['created', 'updated', 'createdAt', 'updatedAt', 'publish_data'];
+
+// Relative fixture dates such as "+10m" or "-2d", resolved when the fixtures load
+const RELATIVE_DATE_PATTERN = /^([+-]\d+)([smhd])$/;
+const RELATIVE_DATE_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+let store = null;
+
+/**
+ * Load the fixtures (the in-memory equivalent of connecting)
+ */
+async function connect() {
+  if (store) {
+    return store;
+  }
+
+  const file = process.env.STORAGE_FIXTURES || DEFAULT_FIXTURES;
+
+  try {
+    const fixtures = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    store = {
+      legacy: (fixtures.legacy || []).map(parseFixtureVideo),
+      embed: (fixtures.embed || []).map(parseFixtureVideo),
+      views: [],
+      analytics: new Map(),
+      telemetry: new Map()
+    };
+  } catch (error) {
+    console.error(`Could not load storage fixtures from ${file}:`, error);
+    throw error;
+  }
+
+  console.log(`✓ Using in-memory storage (${store.legacy.length} legacy, ${store.embed.length} embed videos from ${path.relative(process.cwd(), file)})`);
+  return store;
+}
+
+/**
+ * Convert the date fields of a fixture video to Date objects
+ */
+function parseFixtureVideo(video) {
+  const parsed = { ...video };
+  DATE_FIELDS.forEach(field => {
+    if (typeof parsed[field] === 'string') {
+      parsed[field] = parseFixtureDate(parsed[field]);
+    }
+  });
+  return parsed;
+}
+
+/**
+ * Parse an ISO date or a date relative to now ("+10m", "-2d")
+ */
+function parseFixtureDate(value) {
+  const relative = RELATIVE_DATE_PATTERN.exec(value);
+  if (relative) {
+    return new Date(Date.now() + Number(relative[1]) * RELATIVE_DATE_UNITS[relative[2]]);
+  }
+  return new Date(value);
+}
+
+/**
+ * Get the store
+ */
+function getStore() {
+  if (!store) {
+    throw new Error('Storage not connected. Call connect() first.');
+  }
+  return store;
+}
+
+/**
+ * Copy a stored document so callers can't change the store (like a database read)
+ */
+function copy(document) {
+  return document ? structuredClone(document) : null;
+}
+
+/**
+ * Apply a Mongo-style $inc with dotted paths ({ 'quartiles.25': 1 })
+ */
+function increment(document, inc) {
+  Object.entries(inc).forEach(([field, amount]) => {
+    const keys = field.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key) => {
+      if (typeof parent[key] !== 'object' || parent[key] === null) {
+        parent[key] = {};
+      }
+      return parent[key];
+    }, document);
+    target[last] = (target[last] || 0) + amount;
+  });
+}
+
+/**
+ * Find a video in one of the stored collections
+ */
+function findStoredVideo(collection, owner, permlink) {
+  return getStore()[collection].find(video => video.owner === owner && video.permlink === permlink) || null;
+}
+
+/**
+ * Find several videos in one of the stored collections by { owner, permlink }
+ */
+function findStoredVideos(collection, keys) {
+  const requested = new Set(keys.map(key => `${key.owner}/${key.permlink}`));
+  return getStore()[collection]
+    .filter(video => requested.has(`${video.owner}/${video.permlink}`))
+    .map(copy);
+}
+
+/**
+ * Increment the view count of a stored video
+ */
+function incrementStoredViews(collection, owner, permlink) {
+  const video = findStoredVideo(collection, owner, permlink);
+  if (!video) {
+    return false;
+  }
+  video.views = (video.views || 0) + 1;
+  return true;
+}
+
+async function findLegacyVideo(owner, permlink) {
+  return copy(findStoredVideo('legacy', owner, permlink));
+}
+
+async function findEmbedVideo(owner, permlink) {
+  return copy(findStoredVideo('embed', owner, permlink));
+}
+
+async function findLegacyVideos(keys) {
+  return findStoredVideos('legacy', keys);
+}
+
+async function findEmbedVideos(keys) {
+  return findStoredVideos('embed', keys);
+}
+
+async function incrementLegacyViews(owner, permlink) {
+  return incrementStoredViews('legacy', owner, permlink);
+}
+
+async function incrementEmbedViews(owner, permlink) {
+  return incrementStoredViews('embed', owner, permlink);
+}
+
+async function findRecentViewEvent(owner, permlink, sessionId, since) {
+  return copy(getStore().views.find(event =>
+    event.owner === owner &&
+    event.permlink === permlink &&
+    event.sessionId === sessionId &&
+    event.createdAt >= since
+  ));
+}
+
+async function recordViewEvent(event) {
+  const views = getStore().views;
+  if (event.tokenNonce && views.some(view => view.tokenNonce === event.tokenNonce)) {
+    return null;
+  }
+
+  const id = views.length + 1;
+  views.push({ ...event, _id: id, createdAt: new Date() });
+  return id;
+}
+
+async function recordAnalyticsHeartbeat(owner, permlink, type, inc) {
+  const analytics = getStore().analytics;
+  const key = `${type}:${owner}/${permlink}`;
+  const document = analytics.get(key) || { owner, permlink, type, createdAt: new Date() };
+
+  increment(document, inc);
+  document.updatedAt = new Date();
+  analytics.set(key, document);
+}
+
+async function findVideoAnalytics(owner, permlink, type) {
+  return copy(getStore().analytics.get(`${type}:${owner}/${permlink}`));
+}
+
+async function recordTelemetry(entries, day) {
+  const telemetry = getStore().telemetry;
+
+  entries.forEach(entry => {
+    const key = `${entry.dimension}:${entry.key}:${day}`;
+    const document = telemetry.get(key) || { dimension: entry.dimension, key: entry.key, day: day };
+
+    increment(document, entry.inc);
+    document.updatedAt = new Date();
+    telemetry.set(key, document);
+  });
+}
+
+async function findTelemetry(dimension, sinceDay, key) {
+  return [...getStore().telemetry.values()]
+    .filter(document =>
+      document.dimension === dimension &&
+      document.day >= sinceDay &&
+      (!key || document.key === key)
+    )
+    .map(copy);
+}
+
+async function close() {
+  if (store) {
+    store = null;
+    console.log('✓ In-memory storage closed');
+  }
+}
+
+module.exports = {
+  connect,
+  findLegacyVideo,
+  findEmbedVideo,
+  findLegacyVideos,
+  findEmbedVideos,
+  incrementLegacyViews,
+  incrementEmbedViews,
+  findRecentViewEvent,
+  recordViewEvent,
+  recordAnalyticsHeartbeat,
+  findVideoAnalytics,
+  recordTelemetry,
+  findTelemetry,
+  close
+};
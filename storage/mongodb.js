@@ -0,0 +1,326 @@
+/**
+ * MongoDB storage backend (STORAGE_BACKEND=mongodb, the default).
+ * Reads videos from the 3speak collections configured by MONGODB_*.
+ */
+const { MongoClient } = require('mongodb');
+require('dotenv').config();
+
+let client = null;
+let db = null;
+
+/**
+ * Connect to MongoDB
+ */
+async function connect() {
+  if (db) {
+    return db;
+  }
+
+  try {
+    client = new MongoClient(process.env.MONGODB_URI);
+
+    await client.connect();
+    console.log('✓ Connected to MongoDB');
+
+    db = client.db(process.env.MONGODB_DATABASE);
+    await ensureIndexes(db);
+    return db;
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create indexes used by view event, analytics and telemetry lookups.
+ * The unique view token index is required: without it a token could count
+ * more than one view, so startup fails when it can't be created.
+ */
+async function ensureIndexes(database) {
+  await database.collection(getViewsCollectionName()).createIndex(
+    { tokenNonce: 1 },
+    { unique: true, sparse: true }
+  );
+  
+  try {
+    await database.collection(getViewsCollectionName()).createIndex(
+      { owner: 1, permlink: 1, sessionId: 1, createdAt: -1 }
+    );
+    await database.collection(getAnalyticsCollectionName()).createIndex(
+      { owner: 1, permlink: 1, type: 1 },
+      { unique: true }
+    );
+    await database.collection(getTelemetryCollectionName()).createIndex(
+      { dimension: 1, key: 1, day: 1 },
+      { unique: true }
+    );
+  } catch (error) {
+    console.warn('Could not create indexes:', error.message);
+  }
+}
+
+/**
+ * Name of the collection that stores qualifying view events
+ */
+function getViewsCollectionName() {
+  return process.env.MONGODB_COLLECTION_VIEWS || 'video-views';
+}
+
+/**
+ * Name of the collection that stores aggregated watch-time analytics
+ */
+function getAnalyticsCollectionName() {
+  return process.env.MONGODB_COLLECTION_ANALYTICS || 'video-analytics';
+}
+
+/**
+ * Name of the collection that stores daily playback telemetry aggregates
+ */
+function getTelemetryCollectionName() {
+  return process.env.MONGODB_COLLECTION_TELEMETRY || 'playback-telemetry';
+}
+
+/**
+ * Get database instance
+ */
+function getDb() {
+  if (!db) {
+    throw new Error('Database not connected. Call connect() first.');
+  }
+  return db;
+}
+
+/**
+ * Find video in legacy collection by owner and permlink
+ */
+async function findLegacyVideo(owner, permlink) {
+  const database = getDb();
+  const collection = database.collection(process.env.MONGODB_COLLECTION_LEGACY);
+  
+  return await collection.findOne({
+    owner: owner,
+    permlink: permlink
+  });
+}
+
+/**
+ * Find video in embed collection by owner and permlink
+ */
+async function findEmbedVideo(owner, permlink) {
+  const database = getDb();
+  const collection = database.collection(process.env.MONGODB_COLLECTION_NEW);
+  
+  return await collection.findOne({
+    owner: owner,
+    permlink: permlink
+  });
+}
+
+/**
+ * Find several videos of one collection with a single $in query.
+ * The query can match other owner/permlink combinations, so results are filtered to the requested pairs.
+ */
+async function findVideosIn(collectionName, keys) {
+  if (keys.length === 0) {
+    return [];
+  }
+  
+  const database = getDb();
+  const collection = database.collection(collectionName);
+  const requested = new Set(keys.map(key => `${key.owner}/${key.permlink}`));
+  
+  const videos = await collection.find({
+    owner: { $in: [...new Set(keys.map(key => key.owner))] },
+    permlink: { $in: [...new Set(keys.map(key => key.permlink))] }
+  }).toArray();
+  
+  return videos.filter(video => requested.has(`${video.owner}/${video.permlink}`));
+}
+
+/**
+ * Find legacy videos by a list of { owner, permlink }
+ */
+async function findLegacyVideos(keys) {
+  return await findVideosIn(process.env.MONGODB_COLLECTION_LEGACY, keys);
+}
+
+/**
+ * Find embed videos by a list of { owner, permlink }
+ */
+async function findEmbedVideos(keys) {
+  return await findVideosIn(process.env.MONGODB_COLLECTION_NEW, keys);
+}
+
+/**
+ * Increment view count for legacy video
+ */
+async function incrementLegacyViews(owner, permlink) {
+  const database = getDb();
+  const collection = database.collection(process.env.MONGODB_COLLECTION_LEGACY);
+  
+  const result = await collection.updateOne(
+    { owner: owner, permlink: permlink },
+    { $inc: { views: 1 } }
+  );
+  
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Increment view count for embed video
+ * Note: Initializes views field to 1 if it doesn't exist on that document
+ */
+async function incrementEmbedViews(owner, permlink) {
+  const database = getDb();
+  const collection = database.collection(process.env.MONGODB_COLLECTION_NEW);
+  
+  // First, check if views field exists, if not set it to 0, then increment
+  await collection.updateOne(
+    { owner: owner, permlink: permlink, views: { $exists: false } },
+    { $set: { views: 0 } }
+  );
+  
+  // Now increment views
+  const result = await collection.updateOne(
+    { owner: owner, permlink: permlink },
+    { $inc: { views: 1 } }
+  );
+  
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Find a view event for the same viewer session since the given date
+ */
+async function findRecentViewEvent(owner, permlink, sessionId, since) {
+  const database = getDb();
+  const collection = database.collection(getViewsCollectionName());
+  
+  return await collection.findOne({
+    owner: owner,
+    permlink: permlink,
+    sessionId: sessionId,
+    createdAt: { $gte: since }
+  });
+}
+
+/**
+ * Store a qualifying view event (used to audit and rebuild view counts).
+ * Returns null when an event with the same view token nonce already exists.
+ */
+async function recordViewEvent(event) {
+  const database = getDb();
+  const collection = database.collection(getViewsCollectionName());
+  
+  try {
+    const result = await collection.insertOne({
+      ...event,
+      createdAt: new Date()
+    });
+    
+    return result.insertedId;
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Add a player heartbeat to the aggregated analytics of a video
+ * inc: field increments, e.g. { watchTime: 10, sessions: 1, 'quartiles.25': 1, 'retention.42': 1 }
+ */
+async function recordAnalyticsHeartbeat(owner, permlink, type, inc) {
+  const database = getDb();
+  const collection = database.collection(getAnalyticsCollectionName());
+  
+  await collection.updateOne(
+    { owner: owner, permlink: permlink, type: type },
+    {
+      $inc: inc,
+      $set: { updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Find aggregated analytics for a video
+ */
+async function findVideoAnalytics(owner, permlink, type) {
+  const database = getDb();
+  const collection = database.collection(getAnalyticsCollectionName());
+  
+  return await collection.findOne({
+    owner: owner,
+    permlink: permlink,
+    type: type
+  });
+}
+
+/**
+ * Add a playback telemetry report to daily aggregates
+ * entries: [{ dimension: 'gateway' | 'client' | 'video', key, inc }]
+ */
+async function recordTelemetry(entries, day) {
+  const database = getDb();
+  const collection = database.collection(getTelemetryCollectionName());
+  
+  await collection.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { dimension: entry.dimension, key: entry.key, day: day },
+      update: {
+        $inc: entry.inc,
+        $set: { updatedAt: new Date() }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+}
+
+/**
+ * Find telemetry aggregates for a dimension since the given day (YYYY-MM-DD)
+ */
+async function findTelemetry(dimension, sinceDay, key) {
+  const database = getDb();
+  const collection = database.collection(getTelemetryCollectionName());
+  
+  const query = { dimension: dimension, day: { $gte: sinceDay } };
+  if (key) {
+    query.key = key;
+  }
+  
+  return await collection.find(query).toArray();
+}
+
+/**
+ * Close MongoDB connection
+ */
+async function close() {
+  if (client) {
+    await client.close();
+    client = null;
+    db = null;
+    console.log('✓ MongoDB connection closed');
+  }
+}
+
+module.exports = {
+  connect,
+  getDb,
+  findLegacyVideo,
+  findEmbedVideo,
+  findLegacyVideos,
+  findEmbedVideos,
+  incrementLegacyViews,
+  incrementEmbedViews,
+  findRecentViewEvent,
+  recordViewEvent,
+  recordAnalyticsHeartbeat,
+  findVideoAnalytics,
+  recordTelemetry,
+  findTelemetry,
+  close
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * White-label themes for partner embeds.
+ * Themes are read from THEMES_FILE (JSON object keyed by theme name) and picked
+ * with ?theme=<key> or by the embedding page's host. Every value is validated
+ * here, so the player only ever receives known-safe colors, keywords and URLs.
+ */
+
+const CONTROL_BAR_STYLES = ['default', 'solid', 'transparent', 'gradient'];
+const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const LOGO_TARGETS = ['_blank', '_parent', '_top', '_self'];
+
+// #rgb, #rgba, #rrggbb or #rrggbbaa only, nothing that could end a CSS declaration
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const THEME_KEY_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+let themes = new Map();
+
+/**
+ * Validate a color (the leading # is optional, since it can't be used in a URL)
+ */
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.startsWith('#') ? value : `#${value}`;
+  return COLOR_PATTERN.test(color) ? color.toLowerCase() : null;
+}
+
+/**
+ * Validate one of a fixed list of keywords
+ */
+function parseKeyword(value, allowed) {
+  return typeof value === 'string' && allowed.includes(value.toLowerCase()) ? value.toLowerCase() : null;
+}
+
+/**
+ * Validate an http(s) URL or a path on the player host (/assets/...)
+ */
+function parseUrl(value) {
+  if (typeof value !== 'string' || !value) return null;
+  if (value.startsWith('/') && !value.startsWith('//')) {
+    return /^[A-Za-z0-9/._~%-]+$/.test(value) ? value : null;
+  }
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    if (['1', 'true', 'yes'].includes(value.toLowerCase())) return true;
+    if (['0', 'false', 'no'].includes(value.toLowerCase())) return false;
+  }
+  return null;
+}
+
+/**
+ * Keep the valid theme fields, dropping anything unknown or invalid
+ */
+function sanitizeTheme(theme) {
+  const fields = {
+    accentColor: parseColor(theme.accentColor),
+    controlBar: parseKeyword(theme.controlBar, CONTROL_BAR_STYLES),
+    controlBarColor: parseColor(theme.controlBarColor),
+    logo: parseUrl(theme.logo),
+    logoPosition: parseKeyword(theme.logoPosition, LOGO_POSITIONS),
+    logoLink: parseUrl(theme.logoLink),
+    logoTarget: parseKeyword(theme.logoTarget, LOGO_TARGETS),
+    hideLogo: parseBoolean(theme.hideLogo)
+  };
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+}
+
+/**
+ * Validate host patterns ("example.com" or "*.example.com")
+ */
+function parseHosts(hosts) {
+  return (Array.isArray(hosts) ? hosts : [])
+    .filter(host => typeof host === 'string')
+    .map(host => host.trim().toLowerCase())
+    .filter(host => /^(\*\.)?[a-z0-9.-]+$/.test(host));
+}
+
+/**
+ * Load the theme registry from THEMES_FILE
+ */
+function init() {
+  themes = new Map();
+  const file = process.env.THEMES_FILE;
+  if (!file) {
+    return;
+  }
+
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    console.error(`Could not load themes from ${file}:`, error.message);
+    return;
+  }
+
+  Object.entries(registry || {}).forEach(([key, theme]) => {
+    if (!THEME_KEY_PATTERN.test(key) || typeof theme !== 'object' || theme === null) {
+      console.warn(`Ignoring invalid theme "${key}"`);
+      return;
+    }
+
+    const sanitized = sanitizeTheme(theme);
+    const dropped = Object.keys(theme).filter(field => field !== 'hosts' && !(field in sanitized));
+    if (dropped.length > 0) {
+      console.warn(`Theme "${key}": ignoring invalid or unknown fields: ${dropped.join(', ')}`);
+    }
+
+    themes.set(key.toLowerCase(), { hosts: parseHosts(theme.hosts), theme: sanitized });
+  });
+
+  console.log(`✓ Loaded ${themes.size} theme(s) from ${file}`);
+}
+
+/**
+ * Check a hostname against a host pattern ("*.example.com" also matches example.com)
+ */
+function hostMatches(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    const domain = pattern.slice(2);
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Get the hostname of a URL or origin (null when it isn't one)
+ */
+function getHostname(value) {
+  try {
+    return new URL(value).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the theme of a player page.
+ * key: ?theme=, embedder: origin= parameter or Referer of the embedding page,
+ * query: per-embed overrides (accent, controlbar, logopos, nologo). Logo images
+ * and links only come from the registry, so a URL can't point the player's logo elsewhere.
+ */
+function resolveTheme({ key, embedder, query = {} }) {
+  let entry = typeof key === 'string' && THEME_KEY_PATTERN.test(key) ? themes.get(key.toLowerCase()) : null;
+
+  if (!entry) {
+    const hostname = embedder ? getHostname(embedder) : null;
+    entry = hostname
+      ? [...themes.values()].find(candidate => candidate.hosts.some(pattern => hostMatches(hostname, pattern)))
+      : null;
+  }
+
+  const overrides = sanitizeTheme({
+    accentColor: query.accent,
+    controlBar: query.controlbar,
+    logoPosition: query.logopos,
+    hideLogo: query.nologo
+  });
+
+  const theme = { ...(entry ? entry.theme : {}), ...overrides };
+  return Object.keys(theme).length > 0 ? theme : null;
+}
+
+module.exports = {
+  init,
+  resolveTheme
+};
@@ -3,9 +3,18 @@ const HtmlWebpackPlugin = require('html-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 
 module.exports = {
-  entry: './src/main.js',
+  entry: {
+    main: './src/main.js',
+    // Parent page SDK, transpiled like the player and exposed as window.SnapieEmbed
+    'snapie-embed': {
+      import: './src/snapie-embed.js',
+      filename: 'snapie-embed.js',
+      library: { name: 'SnapieEmbed', type: 'umd' }
+    }
+  },
   output: {
     filename: 'bundle.js',
+    globalObject: 'this', // UMD wrapper of snapie-embed.js also loads outside browsers
     path: path.resolve(__dirname, 'dist'),
     clean: true,
   },
@@ -30,7 +39,8 @@ module.exports = {
   plugins: [
     new HtmlWebpackPlugin({
       template: './src/index.html',
-      filename: 'index.html'
+      filename: 'index.html',
+      chunks: ['main']
     }),
     new CopyWebpackPlugin({
       patterns: [